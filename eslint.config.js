@@ -26,4 +26,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // the test scripts at the root run under node
+    files: ['test-*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -2,12 +2,27 @@ import { useState, useEffect } from "react";
 import ReactDOM from "react-dom/client";
 import LineInput from "./components/LineInput";
 import NotationView from "./components/NotationView";
+import ScoreView from "./components/ScoreView";
 import Collapsible from "./components/Collapsible";
-import { canConnect, SCALE_ORDER } from "./theory/connections";
-import { parseMusicXmlToLines } from "./theory/musicXmlImporter";
+import SequenceGenerator from "./components/SequenceGenerator";
+import GraphAnalytics from "./components/GraphAnalytics";
+import PlaybackControls from "./components/PlaybackControls";
+import TupletControls from "./components/TupletControls";
+import { SCALE_ORDER, CONNECTION_RULES, CONNECTION_BUCKETS, classifyConnection, bucketForConnection, canonicalDegree } from "./theory/connections";
+import { musicXmlParts, readMusicXmlMeasures, parseMeasureRanges, measuresToLines } from "./theory/musicXmlImporter";
+import { linesToMusicXml } from "./theory/musicXmlExporter";
 import { parseNote } from "./theory/noteParser";
 import { buildJazzLine } from "./theory/lineBuilder";
-import { playLine, playSequence } from "./utils/playback";
+import { playback, DEFAULT_PLAYBACK } from "./utils/playback";
+import { unzipMusicXml } from "./utils/mxl";
+import { parseMidiFile, midiToMeasures } from "./theory/midiFile";
+import { sequenceToMidi } from "./utils/midi";
+import { abcTunes, readAbcMeasures, linesToAbc } from "./theory/abc";
+import { KEYS, lineTonic, transposeLine, transposeSequence, sequenceInAllKeys } from "./theory/transpose";
+import { FUNCTION_CATEGORIES, functionCategory, lineChanges, parseChangesText, formatChangesText } from "./theory/chords";
+import { lineLengthInBeats, lineTuplets, tripletStartOf, lineMeter, TIME_SIGNATURES } from "./theory/timing";
+import { MODES, normalizeKey } from "./theory/degrees";
+import { READING_INSTRUMENTS } from "./theory/readingInstruments";
 
 // Ensure all lines have tripletStartIndex property
 function normalizeLinesWithTriplet(lines) {
@@ -68,6 +83,9 @@ function App() {
   const [editText, setEditText] = useState("");
   const [editTags, setEditTags] = useState("");
   const [editComment, setEditComment] = useState("");
+  const [editKey, setEditKey] = useState(() => normalizeKey());
+  const [editChanges, setEditChanges] = useState("");
+  const [editTimeSignature, setEditTimeSignature] = useState("4/4");
 
   // Toggles: persist to localStorage
   const [connectAnywhere, setConnectAnywhere] = useState(() => {
@@ -82,6 +100,87 @@ function App() {
     try { localStorage.setItem('connectAnywhere', connectAnywhere ? 'true' : 'false'); } catch (e) {}
   }, [connectAnywhere]);
 
+  // Note labels under the staff: 'degree' (scale degree) or 'chord' (chord tone)
+  const [labelMode, setLabelMode] = useState(() => {
+    try { return localStorage.getItem('labelMode') === 'chord' ? 'chord' : 'degree'; } catch { return 'degree'; }
+  });
+
+  useEffect(() => {
+    try { localStorage.setItem('labelMode', labelMode); } catch { /* ignore */ }
+  }, [labelMode]);
+
+  // Instrument the notation is written for (transposed part / clef); playback stays at concert pitch
+  const [readingInstrumentId, setReadingInstrumentId] = useState(() => {
+    try { return localStorage.getItem('readingInstrument') || 'concert'; } catch { return 'concert'; }
+  });
+
+  useEffect(() => {
+    try { localStorage.setItem('readingInstrument', readingInstrumentId); } catch { /* ignore */ }
+  }, [readingInstrumentId]);
+
+  // Sequence Explorer layout: the whole sequence as one score, or a stave per line
+  const [scoreLayout, setScoreLayout] = useState(() => {
+    try { return localStorage.getItem('scoreLayout') !== 'false'; } catch { return true; }
+  });
+
+  useEffect(() => {
+    try { localStorage.setItem('scoreLayout', scoreLayout ? 'true' : 'false'); } catch { /* ignore */ }
+  }, [scoreLayout]);
+
+  // Connection rules the Explorer uses to suggest the next line (ids from CONNECTION_RULES)
+  const [enabledRules, setEnabledRules] = useState(() => {
+    try {
+      const raw = localStorage.getItem('connectionRules');
+      return raw ? JSON.parse(raw) : CONNECTION_RULES.map((r) => r.id);
+    } catch {
+      return CONNECTION_RULES.map((r) => r.id);
+    }
+  });
+
+  useEffect(() => {
+    try { localStorage.setItem('connectionRules', JSON.stringify(enabledRules)); } catch { /* ignore */ }
+  }, [enabledRules]);
+
+  const toggleRule = (id) => {
+    setEnabledRules((prev) => (prev.includes(id) ? prev.filter((r) => r !== id) : [...prev, id]));
+  };
+
+  // Tempo, swing and metronome used by every Play button
+  const [playbackSettings, setPlaybackSettings] = useState(() => {
+    try {
+      const raw = localStorage.getItem('playbackSettings');
+      if (!raw) return DEFAULT_PLAYBACK;
+      const saved = JSON.parse(raw);
+      return { ...DEFAULT_PLAYBACK, ...saved, volumes: { ...DEFAULT_PLAYBACK.volumes, ...saved.volumes }, loop: { ...DEFAULT_PLAYBACK.loop, ...saved.loop }, instruments: { ...DEFAULT_PLAYBACK.instruments, ...saved.instruments } };
+    } catch {
+      return DEFAULT_PLAYBACK;
+    }
+  });
+
+  useEffect(() => {
+    try { localStorage.setItem('playbackSettings', JSON.stringify(playbackSettings)); } catch { /* ignore */ }
+  }, [playbackSettings]);
+
+  // "Now playing" state of the shared playback controller; the note
+  // highlight follows it
+  const [nowPlaying, setNowPlaying] = useState(() => playback.getState());
+
+  useEffect(() => playback.subscribe((state) => {
+    setNowPlaying(state);
+    if (!state.tag) return;
+    if (state.noteIdx < 0) {
+      setHighlight({ area: null, lineIdx: -1, noteIdx: -1 });
+      return;
+    }
+    setHighlight({ area: state.tag.area, lineIdx: state.tag.lineIdx ?? state.lineIdx, noteIdx: state.noteIdx });
+  }), []);
+
+  // A-B range of the current sequence repeated while looping (line indices, inclusive)
+  const [loopRange, setLoopRange] = useState({ from: 0, to: null });
+
+  // "12 keys" practice view: { title, lines } of the material being cycled
+  const [cycleView, setCycleView] = useState(null);
+
   // Temporary preview overrides for available lines in Sequence Explorer (non-persistent)
   const [previewOverrides, setPreviewOverrides] = useState({});
 
@@ -96,17 +195,16 @@ function App() {
       const accidentalForParser = n.accidental === 'b' ? 'B' : (n.accidental === '#' ? '#' : '');
       const noteStr = `${n.letter}${accidentalForParser}${n.octave + delta}`;
       try {
-        return parseNote(noteStr);
+        return { ...n, ...parseNote(noteStr) }; // keeps the note's rhythm
       } catch (e) {
         return { ...n };
       }
     });
 
-    const newLine = buildJazzLine(newNotes, base.tripletStartIndex);
-    // preserve non-note metadata
-    if (base) {
-      ['libraryId', 'tags', 'comment', 'start', 'end'].forEach(k => { if (base[k] !== undefined) newLine[k] = base[k]; });
-    }
+    const newLine = buildJazzLine(newNotes, lineTuplets(base), base.key, base.pickup ?? 0);
+    // preserve non-note metadata such as the time signature, changes and
+    // library (start/end are rebuilt so their MIDI numbers follow the shift)
+    Object.keys(base).filter(k => !(k in newLine)).forEach(k => { newLine[k] = base[k]; });
 
     setPreviewOverrides(prev => ({ ...prev, [globalIndex]: newLine }));
   };
@@ -214,6 +312,67 @@ function App() {
     URL.revokeObjectURL(url);
   };
 
+  // Download lines as a MusicXML score (for MuseScore, Finale...)
+  const exportMusicXml = (linesToExport, name, options = {}) => {
+    if (!linesToExport || linesToExport.length === 0) {
+      alert('No lines to export.');
+      return;
+    }
+    const xml = linesToMusicXml(linesToExport, { title: name, ...options });
+    const blob = new Blob([xml], { type: 'application/vnd.recordare.musicxml+xml' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name.replace(/[^a-z0-9\-_ ]/gi, '_')}.musicxml`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Download lines as a MIDI file, timed and swung as playback plays them
+  // (with the comping and bass tracks when backing is on)
+  const exportMidi = (linesToExport, name) => {
+    if (!linesToExport || linesToExport.length === 0) {
+      alert('No lines to export.');
+      return;
+    }
+    const bytes = sequenceToMidi(linesToExport, playbackSettings, { title: name });
+    const blob = new Blob([bytes], { type: 'audio/midi' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name.replace(/[^a-z0-9\-_ ]/gi, '_')}.mid`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const exportLibraryMusicXml = (libraryId) => {
+    const libLines = lines.filter(l => (libraryId === 'user' ? (l.libraryId === 'user' || !l.libraryId) : l.libraryId === libraryId));
+    const lib = libraries.find(l => l.id === libraryId);
+    exportMusicXml(libLines, lib ? lib.name : 'Personal lines', { newSystems: true });
+  };
+
+  // Download lines as ABC text (for forums and emails)
+  const exportAbc = (linesToExport, name, options = {}) => {
+    if (!linesToExport || linesToExport.length === 0) {
+      alert('No lines to export.');
+      return;
+    }
+    const blob = new Blob([linesToAbc(linesToExport, { title: name, ...options })], { type: 'text/vnd.abc' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name.replace(/[^a-z0-9\-_ ]/gi, '_')}.abc`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // A library's lines as ABC, each line a tune of its own
+  const exportLibraryAbc = (libraryId) => {
+    const libLines = lines.filter(l => (libraryId === 'user' ? (l.libraryId === 'user' || !l.libraryId) : l.libraryId === libraryId));
+    const lib = libraries.find(l => l.id === libraryId);
+    exportAbc(libLines, lib ? lib.name : 'Personal lines', { separateTunes: true });
+  };
+
   const importJSON = (event) => {
     const file = event.target.files[0];
     if (!file) return;
@@ -299,25 +458,94 @@ function App() {
     try { localStorage.setItem('jazzLines', JSON.stringify(updatedLines)); } catch (e) {}
   };
 
+  // Turn imported measures (see readMusicXmlMeasures) into lines, letting
+  // the user join measures into multi-bar lines, and offer them for a library
+  const importMeasures = (measures, source) => {
+    let groups = null;
+    if (measures.length > 1) {
+      const ranges = window.prompt(`${measures.length} measures found. Measures for each line (e.g. "1-4, 5-8"), or leave blank for one line per measure:`, '');
+      if (ranges === null) return;
+      groups = parseMeasureRanges(ranges, measures.length);
+    }
+    const importedLines = measuresToLines(measures, groups || undefined);
+    if (!Array.isArray(importedLines) || importedLines.length === 0) {
+      alert(`No lines found in ${source} file.`);
+      return;
+    }
+
+    // Open library selection modal to decide where to import these lines
+    const normalized = normalizeLinesWithTriplet(importedLines);
+    openLibraryDialogForLines(normalized);
+    alert(`Imported ${importedLines.length} lines from ${source} (choose target library in dialog)`);
+  };
+
   const importMusicXml = (event) => {
     const file = event.target.files[0];
     if (!file) return;
+    // .mxl files are zipped MusicXML
+    const compressed = /\.mxl$/i.test(file.name);
     const reader = new FileReader();
     reader.onload = (e) => {
-      try {
-  const xml = e.target.result;
-  const importedLines = parseMusicXmlToLines(xml);
-        if (!Array.isArray(importedLines) || importedLines.length === 0) {
-          alert("No lines found in MusicXML file.");
-          return;
+      const xmlText = compressed ? unzipMusicXml(e.target.result) : Promise.resolve(e.target.result);
+      xmlText.then((xml) => {
+        // Scores with several parts (lead sheet + piano + bass...): import one
+        const parts = musicXmlParts(xml);
+        let partId;
+        if (parts.length > 1) {
+          const choice = window.prompt(`This score has ${parts.length} parts. Number of the part to import:\n${parts.map((p, i) => `${i + 1}: ${p.name}`).join('\n')}`, '1');
+          if (choice === null) return;
+          const part = parts[Number(choice) - 1];
+          if (!part) throw new Error(`No part ${choice}`);
+          partId = part.id;
         }
 
-        // Open library selection modal to decide where to import these lines
-        const normalized = normalizeLinesWithTriplet(importedLines);
-        openLibraryDialogForLines(normalized);
-        alert(`Imported ${importedLines.length} lines from MusicXML (choose target library in dialog)`);
-      } catch (err) {
+        importMeasures(readMusicXmlMeasures(xml, partId), 'MusicXML');
+      }).catch((err) => {
         alert("Failed to import MusicXML: " + err.message);
+      });
+    };
+    if (compressed) reader.readAsArrayBuffer(file);
+    else reader.readAsText(file);
+    // reset input
+    event.target.value = null;
+  };
+
+  // A single-track MIDI file (a lick sketched in a DAW): quantized and cut
+  // at its barlines
+  const importMidi = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        importMeasures(midiToMeasures(parseMidiFile(e.target.result)), 'MIDI');
+      } catch (err) {
+        alert("Failed to import MIDI: " + err.message);
+      }
+    };
+    reader.readAsArrayBuffer(file);
+    // reset input
+    event.target.value = null;
+  };
+
+  // An ABC file; a file of several tunes imports the one the user picks
+  const importAbc = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const tunes = abcTunes(e.target.result);
+        let tune = tunes[0];
+        if (tunes.length > 1) {
+          const choice = window.prompt(`This file has ${tunes.length} tunes. Number of the tune to import:\n${tunes.map((t, i) => `${i + 1}: ${t.title || 'Untitled'}`).join('\n')}`, '1');
+          if (choice === null) return;
+          tune = tunes[Number(choice) - 1];
+          if (!tune) throw new Error(`No tune ${choice}`);
+        }
+        importMeasures(tune ? readAbcMeasures(tune.text) : [], 'ABC');
+      } catch (err) {
+        alert("Failed to import ABC: " + err.message);
       }
     };
     reader.readAsText(file);
@@ -332,6 +560,13 @@ function App() {
     setPreviewOverrides({});
   }; 
 
+  // Replace the current sequence with one from the generator
+  const loadGeneratedSequence = (generated) => {
+    setCurrentSequence(generated);
+    setPreviewOverrides({});
+    setHighlight({ area: null, lineIdx: -1, noteIdx: -1 });
+  };
+
   const clearSequence = () => {
     if (currentSequence.length > 0) {
       const ok = window.confirm("Clear current sequence? This will remove all selected lines from the sequence.");
@@ -405,7 +640,7 @@ function App() {
       alert('No sequence to print.');
       return;
     }
-    // Create a temporary container in the main DOM and render NotationViews
+    // Create a temporary container in the main DOM and render the score
     const printContainer = document.createElement('div');
     printContainer.id = 'print-sequence-temp';
     printContainer.style.position = 'fixed';
@@ -419,14 +654,9 @@ function App() {
     printContainer.style.overflowY = 'auto';
     document.body.appendChild(printContainer);
 
-    // Render each NotationView in the container
+    // Render the sequence as one continuous part, like a lead sheet
     const root = ReactDOM.createRoot(printContainer);
-    const components = currentSequence.map((line, idx) => (
-      <div key={idx} style={{ marginBottom: '30px', pageBreakInside: 'avoid' }}>
-              <NotationView notes={line.notes} tags={line.tags ?? []} highlightIndex={highlight.area === 'available' && highlight.lineIdx === lines.indexOf(line) ? highlight.noteIdx : -1} tripletStartIndex={line.tripletStartIndex ?? -1} />
-      </div>
-    ));
-    root.render(<>{components}</>);
+    root.render(<ScoreView sequence={currentSequence} labelMode={labelMode} instrument={readingInstrumentId} />);
 
     // Wait for render, add print styles, trigger print, then cleanup
     setTimeout(() => {
@@ -437,7 +667,7 @@ function App() {
         @media print {
           body > * { display: none !important; }
           #print-sequence-temp { display: block !important; position: static !important; max-height: none !important; overflow: visible !important; width: 100% !important; }
-          #print-sequence-temp > div { page-break-inside: avoid; }
+          #print-sequence-temp svg { width: 100% !important; height: auto !important; }
         }
       `;
       document.head.appendChild(styleEl);
@@ -636,20 +866,19 @@ function App() {
       const accidentalForParser = n.accidental === 'b' ? 'B' : (n.accidental === '#' ? '#' : '');
       const noteStr = `${n.letter}${accidentalForParser}${n.octave + delta}`;
       try {
-        return parseNote(noteStr);
+        return { ...n, ...parseNote(noteStr) }; // keeps the note's rhythm
       } catch (e) {
         // fallback: keep original note if parse fails
         return { ...n };
       }
     });
 
-    // Rebuild line metadata, preserving triplet position
-    const updatedLine = buildJazzLine(newNotes, lines[globalIndex].tripletStartIndex);
+    // Rebuild line metadata, preserving tuplet groups
+    const updatedLine = buildJazzLine(newNotes, lineTuplets(oldLine), oldLine.key, oldLine.pickup ?? 0);
 
     // Preserve original metadata (library assignment, comment, tags, start/end, and any other fields)
     if (oldLine) {
       if (typeof oldLine.libraryId !== 'undefined') updatedLine.libraryId = oldLine.libraryId;
-      if (typeof oldLine.tripletStartIndex !== 'undefined') updatedLine.tripletStartIndex = oldLine.tripletStartIndex;
       const preservedKeys = Object.keys(oldLine).filter(k => !(k in updatedLine));
       preservedKeys.forEach(k => { updatedLine[k] = oldLine[k]; });
     }
@@ -676,15 +905,19 @@ function App() {
       const accidentalForParser = n.accidental === 'b' ? 'B' : (n.accidental === '#' ? '#' : '');
       const noteStr = `${n.letter}${accidentalForParser}${n.octave + delta}`;
       try {
-        return parseNote(noteStr);
+        return { ...n, ...parseNote(noteStr) }; // keeps the note's rhythm
       } catch (e) {
         // fallback: keep original note if parse fails
         return { ...n };
       }
     });
 
-    // Rebuild line metadata, preserving triplet position
-    const newLine = buildJazzLine(newNotes, currentSequence[seqIdx].tripletStartIndex);
+    // Rebuild line metadata, preserving tuplet groups
+    const newLine = buildJazzLine(newNotes, lineTuplets(oldLine), oldLine.key, oldLine.pickup ?? 0);
+
+    // Preserve the metadata the rebuild leaves out (chord changes, library,
+    // comment, tags...)
+    Object.keys(oldLine).filter(k => !(k in newLine)).forEach(k => { newLine[k] = oldLine[k]; });
 
     // Update currentSequence with the new line object
     const newSequence = [...currentSequence];
@@ -692,25 +925,12 @@ function App() {
     setCurrentSequence(newSequence);
   };
 
-  // Adjust triplet position for a saved line (globalIndex)
-  const adjustLineTriplet = (globalIndex, delta) => {
+  // Replace the tuplet groups of a saved line (globalIndex)
+  const setLineTuplets = (globalIndex, tuplets) => {
     if (globalIndex < 0 || globalIndex >= lines.length) return;
 
     const line = lines[globalIndex];
-    if (!line.notes || line.notes.length < 3) return; // Need at least 3 notes for triplet
-
-    let newTripletIndex = line.tripletStartIndex ?? -1;
-    if (newTripletIndex === -1) {
-      newTripletIndex = Math.max(0, line.notes.length - 3); // Default to last 3
-    }
-
-    newTripletIndex += delta * 2; // Move by 2 notes (quarter note = 2 eighth notes)
-
-    // Validate bounds: triplet must have 3 consecutive notes
-    if (newTripletIndex < 0) newTripletIndex = 0;
-    if (newTripletIndex + 3 > line.notes.length) newTripletIndex = line.notes.length - 3;
-
-    const updatedLine = { ...line, tripletStartIndex: newTripletIndex };
+    const updatedLine = { ...line, tuplets, tripletStartIndex: tripletStartOf(tuplets) };
     const updatedLines = [...lines];
     updatedLines[globalIndex] = updatedLine;
     setLines(updatedLines);
@@ -723,29 +943,50 @@ function App() {
     setCurrentSequence(updatedSequence);
   };
 
-  // Adjust triplet position for a sequence line (temporary, doesn't save)
-  const adjustSequenceTriplet = (seqIdx, delta) => {
+  // Replace the tuplet groups of a sequence line (temporary, doesn't save)
+  const setSequenceTuplets = (seqIdx, tuplets) => {
     if (seqIdx < 0 || seqIdx >= currentSequence.length) return;
 
     const line = currentSequence[seqIdx];
-    if (!line.notes || line.notes.length < 3) return;
-
-    let newTripletIndex = line.tripletStartIndex ?? -1;
-    if (newTripletIndex === -1) {
-      newTripletIndex = Math.max(0, line.notes.length - 3);
-    }
-
-    newTripletIndex += delta * 2;
+    const updatedLine = { ...line, tuplets, tripletStartIndex: tripletStartOf(tuplets) };
+    const newSequence = [...currentSequence];
+    newSequence[seqIdx] = updatedLine;
+    setCurrentSequence(newSequence);
+  };
 
-    if (newTripletIndex < 0) newTripletIndex = 0;
-    if (newTripletIndex + 3 > line.notes.length) newTripletIndex = line.notes.length - 3;
+  // Transpose the whole current sequence into another key (temporary, doesn't save)
+  const transposeCurrentSequence = (tonic) => {
+    if (!tonic || currentSequence.length === 0) return;
+    setCurrentSequence(transposeSequence(currentSequence, tonic));
+    setHighlight({ area: null, lineIdx: -1, noteIdx: -1 });
+  };
 
-    const updatedLine = { ...line, tripletStartIndex: newTripletIndex };
+  // Transpose a single sequence line (temporary, doesn't save)
+  const transposeSequenceLine = (seqIdx, tonic) => {
+    if (seqIdx < 0 || seqIdx >= currentSequence.length || !tonic) return;
     const newSequence = [...currentSequence];
-    newSequence[seqIdx] = updatedLine;
+    newSequence[seqIdx] = transposeLine(currentSequence[seqIdx], tonic);
     setCurrentSequence(newSequence);
   };
 
+  // Play the current sequence from line `idx`; if it is already playing,
+  // jump there instead of starting over
+  const playSequenceFrom = (idx) => {
+    const tag = nowPlaying.tag;
+    if (idx > 0 && nowPlaying.status !== 'stopped' && tag?.area === 'sequence' && tag.lineIdx === undefined) {
+      playback.seekToLine(idx);
+      return;
+    }
+    playback.play(currentSequence, { settings: { ...playbackSettings, range: loopRange }, tag: { area: 'sequence' }, startLine: idx });
+  };
+
+  // Play the material of the 12-keys view back to back through every key
+  const playAllKeys = () => {
+    if (!cycleView || cycleView.lines.length === 0) return;
+    const flat = sequenceInAllKeys(cycleView.lines).flatMap((k) => k.lines);
+    playback.play(flat, { settings: playbackSettings, tag: { area: 'cycle' } });
+  };
+
   // Helpers for editing a saved line
   function notesToRawString(notes) {
     return notes.map(n => {
@@ -761,6 +1002,9 @@ function App() {
     setEditText(notesToRawString(line.notes));
     setEditTags(getCanonicalFunctionTag(line.tags || []));
     setEditComment(line.comment || "");
+    setEditKey(normalizeKey(line.key));
+    setEditChanges(formatChangesText(line.changes));
+    setEditTimeSignature(lineMeter(line).id);
   };
 
   // Map existing tags array to a canonical single function-tag string
@@ -788,6 +1032,7 @@ function App() {
     setEditText("");
     setEditTags("");
     setEditComment("");
+    setEditChanges("");
   };
 
   const saveEditLine = () => {
@@ -800,8 +1045,19 @@ function App() {
       .map(s => s.toUpperCase());
 
     try {
-      const notes = noteStrings.map(parseNote);
-      const updatedLine = buildJazzLine(notes);
+      // re-entered pitches keep their rhythms as long as the note count is unchanged
+      const originalNotes = lines[editingIndex]?.notes || [];
+      const notes = noteStrings.map((str, i) => {
+        const note = parseNote(str);
+        const rhythm = originalNotes.length === noteStrings.length ? originalNotes[i].rhythm : undefined;
+        return rhythm ? { ...note, rhythm } : note;
+      });
+      // tuplet groups carry over while they still fit on the line
+      const originalLine = lines[editingIndex];
+      const tuplets = originalLine
+        ? lineTuplets(originalLine).filter((t) => t.start + t.actual <= notes.length)
+        : -1;
+      const updatedLine = buildJazzLine(notes, tuplets, editKey);
 
       // attach tags from editTags (comma-separated)
       const tags = editTags
@@ -815,12 +1071,17 @@ function App() {
       } else {
         updatedLine.comment = undefined;
       }
+      // explicit chord changes; blank falls back to the ones implied by the tags
+      if (editChanges.trim() !== '') {
+        updatedLine.changes = parseChangesText(editChanges, lineLengthInBeats(notes, updatedLine.tuplets));
+      } else {
+        updatedLine.changes = undefined;
+      }
+      updatedLine.timeSignature = editTimeSignature === '4/4' ? undefined : editTimeSignature;
 
-      // Preserve original metadata (library assignment, triplet position, any other fields)
-      const originalLine = lines[editingIndex];
+      // Preserve original metadata (library assignment, any other fields)
       if (originalLine) {
         if (typeof originalLine.libraryId !== 'undefined') updatedLine.libraryId = originalLine.libraryId;
-        if (typeof originalLine.tripletStartIndex !== 'undefined') updatedLine.tripletStartIndex = originalLine.tripletStartIndex;
         // preserve any other fields the original had that buildJazzLine doesn't set
         const preservedKeys = Object.keys(originalLine).filter(k => !(k in updatedLine));
         preservedKeys.forEach(k => { updatedLine[k] = originalLine[k]; });
@@ -841,66 +1102,20 @@ function App() {
       setEditText("");
       setEditTags("");
       setEditComment("");
+      setEditChanges("");
     } catch (err) {
       alert("Failed to parse notes: " + err.message);
     }
   };
 
-  // Categorize a list of lines by musical function for display
+  // Categorize a list of lines by musical function for display, from the
+  // chord changes each line is played over
   const categorizeByFunction = (linesList) => {
-    const buckets = {
-      'Major ii-v': [],
-      'Minor ii-v': [],
-      'Static Minor': [],
-      'Dominant 7': [],
-      'Altered Dominant': [],
-      'Phrygian Dominant': [],
-      'H/W Diminished': [],
-      'Tritone Sub': [],
-      'Other': []
-    };
+    const buckets = {};
+    FUNCTION_CATEGORIES.forEach((category) => { buckets[category] = []; });
 
     linesList.forEach((line) => {
-      const tags = (line.tags || []).map(t => String(t).toLowerCase());
-      const tagStr = tags.join(' ');
-
-      if (tagStr.includes('ii-v') || tagStr.includes('i i-v') ) {
-        if (tagStr.includes('minor') || tagStr.includes('min')) buckets['Minor ii-v'].push(line);
-        else buckets['Major ii-v'].push(line);
-        return;
-      }
-
-      if (tagStr.includes('static') && tagStr.includes('minor')) {
-        buckets['Static Minor'].push(line);
-        return;
-      }
-
-      if (tagStr.includes('altered') || tagStr.includes('#5') || tagStr.includes('v7#5') || tagStr.includes('g7alt')) {
-        buckets['Altered Dominant'].push(line);
-        return;
-      }
-
-      if (tagStr.includes('v7') || tagStr.includes('v 7') || tagStr.includes('dominant')) {
-        buckets['Dominant 7'].push(line);
-        return;
-      }
-
-      if (tagStr.includes('phrygian') || tagStr.includes('b13')) {
-        buckets['Phrygian Dominant'].push(line);
-        return;
-      }
-
-      if (tagStr.includes('h/w') || tagStr.includes('hw') || tagStr.includes('diminished') || tagStr.includes('13') || tagStr.includes('b9')) {
-        buckets['H/W Diminished'].push(line);
-        return;
-      }
-
-      if (tagStr.includes('tritone')) {
-        buckets['Tritone Sub'].push(line);
-        return;
-      }
-
-      buckets['Other'].push(line);
+      buckets[functionCategory(lineChanges(line))].push(line);
     });
 
     return buckets;
@@ -909,6 +1124,7 @@ function App() {
   return (
     <div style={{ padding: 20, fontFamily: "Arial, sans-serif" }}>
       <h1>🎷Jazz Line Sequence Explorer</h1>
+      <PlaybackControls settings={playbackSettings} onChange={setPlaybackSettings} nowPlaying={nowPlaying} />
 
       {/* Line Input and Controls */}
       <Collapsible title="📚Library & Import" defaultOpen={false} right={<span style={{ fontSize: 12, color: "#666" }}>{lines.length} lines</span>}>
@@ -949,8 +1165,16 @@ function App() {
         )}
         <div style={{ marginTop: 10 }}>
           <label style={{ display: 'block', marginTop: 8 }}>
-            Import MusicXML (each measure → one line):
-            <input type="file" accept=".xml,.musicxml" onChange={importMusicXml} />
+            Import MusicXML (rhythm, chord symbols, key and time; choose the measures for each line):
+            <input type="file" accept=".xml,.musicxml,.mxl" onChange={importMusicXml} />
+          </label>
+          <label style={{ display: 'block', marginTop: 8 }}>
+            Import MIDI (one melody track, quantized to sixteenths and triplets; choose the measures for each line):
+            <input type="file" accept=".mid,.midi" onChange={importMidi} />
+          </label>
+          <label style={{ display: 'block', marginTop: 8 }}>
+            Import ABC (note lengths, triplets, chord symbols and bar lines; choose the measures for each line):
+            <input type="file" accept=".abc,.txt" onChange={importAbc} />
           </label>
         </div>
 
@@ -967,6 +1191,8 @@ function App() {
                 ({lines.filter(l => l.libraryId === lib.id).length} lines)
               </span>
               <button onClick={() => exportLibrary(lib.id)} style={{ marginLeft: 8 }}>Export</button>
+              <button onClick={() => exportLibraryMusicXml(lib.id)}>MusicXML</button>
+              <button onClick={() => exportLibraryAbc(lib.id)}>ABC</button>
               {lib.editable && (
                 <button onClick={() => deleteLibrary(lib.id)} style={{ marginLeft: 'auto' }}>Delete</button>
               )}
@@ -976,6 +1202,8 @@ function App() {
           {lines.some(l => !l.libraryId || l.libraryId === 'user') && (
             <div style={{ marginTop: 8 }}>
               <button onClick={() => exportLibrary('user')}>Export Personal Lines</button>
+              <button onClick={() => exportLibraryMusicXml('user')} style={{ marginLeft: 8 }}>Personal Lines as MusicXML</button>
+              <button onClick={() => exportLibraryAbc('user')} style={{ marginLeft: 8 }}>Personal Lines as ABC</button>
             </div>
           )}
           <div style={{ marginTop: 6 }}>
@@ -984,6 +1212,11 @@ function App() {
         </div>
       </Collapsible>
 
+      {/* Connection graph analytics */}
+      <Collapsible title="📈 Connection Graph" defaultOpen={false}>
+        <GraphAnalytics lines={lines} isAvailable={(line) => isLibraryEnabled(line.libraryId)} rules={CONNECTION_RULES.filter((r) => enabledRules.includes(r.id))} />
+      </Collapsible>
+
       {/* Sequence Explorer */}
       <Collapsible title="🎸Sequence Explorer" defaultOpen={true} right={<span style={{ fontSize: 12, color: "#666" }}>{currentSequence.length} lines</span>}>
 
@@ -1007,44 +1240,136 @@ function App() {
           </label>
         </div>
 
+        <div style={{ marginTop: 8 }}>
+          <label style={{ display: 'inline-flex', alignItems: 'center', gap: 8 }}>
+            🏷️ Note labels
+            <select value={labelMode} onChange={(e) => setLabelMode(e.target.value)}>
+              <option value="degree">Scale degrees</option>
+              <option value="chord">Chord tones</option>
+            </select>
+          </label>
+          <label style={{ display: 'inline-flex', alignItems: 'center', gap: 8, marginLeft: 16 }}>
+            🎺 Notation for
+            <select value={readingInstrumentId} onChange={(e) => setReadingInstrumentId(e.target.value)}>
+              {READING_INSTRUMENTS.map((i) => <option key={i.id} value={i.id}>{i.label}</option>)}
+            </select>
+          </label>
+        </div>
+
+        <div style={{ marginTop: 8, display: 'flex', flexWrap: 'wrap', gap: 12, alignItems: 'center' }}>
+          <span>🧩 Connection rules</span>
+          {CONNECTION_RULES.map((rule) => (
+            <label key={rule.id} style={{ display: 'inline-flex', alignItems: 'center', gap: 4, fontSize: 13 }}>
+              <input type="checkbox" checked={enabledRules.includes(rule.id)} onChange={() => toggleRule(rule.id)} />
+              {rule.label}
+            </label>
+          ))}
+        </div>
+
+        <div style={{ marginTop: 8 }}>
+          <Collapsible title="🎲 Sequence Generator" defaultOpen={false}>
+            <SequenceGenerator lines={lines} isAvailable={(line) => isLibraryEnabled(line.libraryId)} onLoad={loadGeneratedSequence} />
+          </Collapsible>
+        </div>
+
         <h4 style={{ marginTop: 8}}>Current Sequence</h4>
         {currentSequence.length > 0 && (
           <div style={{ marginTop: 0, marginBottom: 6}}>
-            <button onClick={() => playSequence(currentSequence, "8n", (lineIdx, noteIdx) => setHighlight({ area: 'sequence', lineIdx, noteIdx }))}>
+            <button onClick={() => playSequenceFrom(0)}>
               ▶️ Play Full Sequence
             </button>
+            {playbackSettings.loop.enabled && currentSequence.length > 1 && (
+              <label style={{ marginLeft: 12, fontSize: 13 }}>
+                Loop lines{' '}
+                <select value={Math.min(loopRange.from, currentSequence.length - 1)} onChange={(e) => setLoopRange({ ...loopRange, from: Number(e.target.value) })}>
+                  {currentSequence.map((_, i) => <option key={i} value={i}>{i + 1}</option>)}
+                </select>
+                {' '}to{' '}
+                <select value={loopRange.to === null ? currentSequence.length - 1 : Math.min(loopRange.to, currentSequence.length - 1)} onChange={(e) => setLoopRange({ ...loopRange, to: Number(e.target.value) })}>
+                  {currentSequence.map((_, i) => <option key={i} value={i}>{i + 1}</option>)}
+                </select>
+              </label>
+            )}
             <button style={{ marginLeft: 12 }} onClick={saveSequence}>💾 Save Sequence</button>
             <button style={{ marginLeft: 12 }} onClick={printSequence}>🖨️ Print Sequence</button>
+            <button style={{ marginLeft: 12 }} onClick={() => exportMusicXml(currentSequence, 'Sequence')}>🎼 MusicXML</button>
+            <button style={{ marginLeft: 12 }} onClick={() => exportMidi(currentSequence, 'Sequence')} title="Tempo, swing and (when backing is on) the accompaniment, as in playback">🎹 MIDI</button>
+            <button style={{ marginLeft: 12 }} onClick={() => exportAbc(currentSequence, 'Sequence')}>🔤 ABC</button>
             <button style={{ marginLeft: 12 }} onClick={removeLastFromSequence}>↩️ Remove Last</button>
             <button style={{ marginLeft: 12 }} onClick={clearSequence}>❎ Clear Sequence</button>
+            <button style={{ marginLeft: 12 }} onClick={() => setCycleView({ title: 'Current sequence', lines: currentSequence })}>🔁 12 Keys</button>
+            <label style={{ marginLeft: 12, fontSize: 13 }}>
+              Key{' '}
+              <select value={lineTonic(currentSequence[0])} onChange={(e) => transposeCurrentSequence(e.target.value)}>
+                {KEYS.map((k) => <option key={k} value={k}>{k}</option>)}
+              </select>
+            </label>
+          </div>
+        )}
+        {cycleView && (
+          <div style={{ border: '1px solid #e0e0e0', borderRadius: 6, padding: 10, marginBottom: 10, background: '#fcfcff' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+              <strong>12 Keys: {cycleView.title}</strong>
+              <button onClick={playAllKeys}>▶️ Play All Keys</button>
+              <button style={{ marginLeft: 'auto' }} onClick={() => setCycleView(null)}>Close</button>
+            </div>
+            <div style={{ maxHeight: '60vh', overflowY: 'auto', paddingRight: 8 }}>
+              {(() => {
+                let flatIdx = 0;
+                return sequenceInAllKeys(cycleView.lines).map(({ tonic, lines: keyLines }) => (
+                  <div key={tonic} style={{ marginBottom: 10 }}>
+                    <h5 style={{ margin: '6px 0' }}>{tonic}</h5>
+                    {keyLines.map((keyLine) => {
+                      const idx = flatIdx++;
+                      return (
+                        <NotationView labelMode={labelMode} instrument={readingInstrumentId} key={idx} notes={keyLine.notes} tags={keyLine.tags ?? []} changes={keyLine.changes} pickup={keyLine.pickup ?? 0} timeSignature={lineMeter(keyLine).id} tonic={tonic} mode={normalizeKey(keyLine.key).mode} highlightIndex={highlight.area === 'cycle' && highlight.lineIdx === idx ? highlight.noteIdx : -1} tuplets={lineTuplets(keyLine)} />
+                      );
+                    })}
+                  </div>
+                ));
+              })()}
+            </div>
           </div>
         )}
         {currentSequence.length > 0 && (
           <div style={{ marginTop: 10, marginBottom: 10 }}>
             <div style={{ background: '#f8f9fa', padding: 10, borderRadius: 6, border: '1px solid #eee' }}>
-              <strong>Tip:</strong> Octave and triplet position changes in the sequence explorer are temporary. To make permanent changes to a line, edit it in the "All Lines" section below.
+              <strong>Tip:</strong> Octave and tuplet changes in the sequence explorer are temporary. To make permanent changes to a line, edit it in the "All Lines" section below.
             </div>
           </div>
         )}
 
         <div style={{ position: 'relative' }}>
           {currentSequence.length === 0 && <div style={{ color: '#666' }}>No lines selected</div>}
+          {currentSequence.length > 0 && (
+            <div style={{ marginBottom: 10 }}>
+              <label style={{ display: 'inline-flex', alignItems: 'center', gap: 8, fontSize: 13 }}>
+                <input type="checkbox" checked={scoreLayout} onChange={(e) => setScoreLayout(e.target.checked)} />
+                📜 Show as one score
+              </label>
+              {scoreLayout && (
+                <div style={{ border: "1px solid #f0f0f0", padding: 10, marginTop: 6, background: '#fff' }}>
+                  <ScoreView sequence={currentSequence} labelMode={labelMode} instrument={readingInstrumentId} highlightLine={highlight.area === 'sequence' ? highlight.lineIdx : -1} highlightNote={highlight.noteIdx} />
+                </div>
+              )}
+            </div>
+          )}
               {currentSequence.map((line, idx) => (
             <div key={idx} style={{ border: "1px solid #f0f0f0", padding: 10, marginBottom: 10, background: '#fff' }}>
               <p style={{ margin: 0, marginBottom: 6 }}>Line {lines.indexOf(line) + 1}: {line.start.degree} → {line.end.degree}</p>
-              <NotationView notes={line.notes} tags={line.tags ?? []} highlightIndex={highlight.area === 'sequence' && highlight.lineIdx === idx ? highlight.noteIdx : -1} tripletStartIndex={line.tripletStartIndex ?? -1} />
+              {!scoreLayout && <NotationView labelMode={labelMode} instrument={readingInstrumentId} notes={line.notes} tags={line.tags ?? []} changes={line.changes} pickup={line.pickup ?? 0} timeSignature={lineMeter(line).id} tonic={lineTonic(line)} mode={normalizeKey(line.key).mode} highlightIndex={highlight.area === 'sequence' && highlight.lineIdx === idx ? highlight.noteIdx : -1} tuplets={lineTuplets(line)} />}
               <div style={{ marginTop: 6, display: 'flex', gap: 8 }}>
-                <button onClick={() => playLine(line.notes, "8n", (noteIdx) => setHighlight({ area: 'sequence', lineIdx: idx, noteIdx }), line.tripletStartIndex ?? -1)}>
+                <button onClick={() => playback.play([line], { settings: playbackSettings, tag: { area: 'sequence', lineIdx: idx } })}>
                   Play Line
                 </button>
+                <button onClick={() => playSequenceFrom(idx)} title="Play the sequence from this line">⏩ From Here</button>
                 <button onClick={() => adjustSequenceOctave(idx, -1)}>Octave -</button>
                 <button onClick={() => adjustSequenceOctave(idx, +1)}>Octave +</button>
-                {line.notes && line.notes.length === 9 && (
-                  <>
-                    <button onClick={() => adjustSequenceTriplet(idx, -1)} title="Move triplet back">Triplet ←</button>
-                    <button onClick={() => adjustSequenceTriplet(idx, +1)} title="Move triplet forward">Triplet →</button>
-                  </>
-                )}
+                <TupletControls line={line} onChange={(t) => setSequenceTuplets(idx, t)} />
+                <select value={lineTonic(line)} onChange={(e) => transposeSequenceLine(idx, e.target.value)} title="Transpose line">
+                  {KEYS.map((k) => <option key={k} value={k}>{k}</option>)}
+                </select>
+                <button onClick={() => setCycleView({ title: `Line ${idx + 1}`, lines: [line] })}>🔁 12 Keys</button>
               </div>
             </div>
           ))}
@@ -1057,7 +1382,7 @@ function App() {
             lines.forEach((line) => {
               if (!isLibraryEnabled(line.libraryId)) return; // skip lines from disabled libraries
               if (!allowDuplicates && currentSequence.includes(line)) return; // exclude already-selected lines when duplicates not allowed
-              const key = line.start?.degree || 'unknown';
+              const key = canonicalDegree(line.start?.degree) || 'unknown';
               if (!groups[key]) groups[key] = [];
               groups[key].push(line);
             });
@@ -1080,8 +1405,7 @@ function App() {
                       ) : (
                         (() => {
                           const funcBuckets = categorizeByFunction(groups[key]);
-                          const funcOrder = ['Major ii-v', 'Minor ii-v', 'Static Minor', 'Dominant 7', 'Altered Dominant', 'Phrygian Dominant', 'H/W Diminished', 'Tritone Sub', 'Other'];
-                          return funcOrder
+                          return FUNCTION_CATEGORIES
                             .filter((fKey) => funcBuckets[fKey] && funcBuckets[fKey].length > 0)
                             .map((fKey) => (
                               <div key={`${key}-${fKey}`} style={{ marginBottom: 8 }}>
@@ -1113,6 +1437,23 @@ function App() {
                                               <option value="tritone sub">Tritone Sub</option>
                                             </select>
                                           </div>
+                                          <div style={{ marginTop: 6, display: 'flex', gap: 8, alignItems: 'center' }}>
+                                            <label style={{ fontSize: 12 }}>Key</label>
+                                            <select value={editKey.tonic} onChange={(e) => setEditKey({ ...editKey, tonic: e.target.value })}>
+                                              {KEYS.map((k) => <option key={k} value={k}>{k}</option>)}
+                                            </select>
+                                            <select value={editKey.mode} onChange={(e) => setEditKey({ ...editKey, mode: e.target.value })}>
+                                              {Object.keys(MODES).map((m) => <option key={m} value={m}>{m}</option>)}
+                                            </select>
+                                            <label style={{ fontSize: 12 }}>Time</label>
+                                            <select value={editTimeSignature} onChange={(e) => setEditTimeSignature(e.target.value)}>
+                                              {TIME_SIGNATURES.map((t) => <option key={t.id} value={t.id}>{t.id}</option>)}
+                                            </select>
+                                          </div>
+                                          <div style={{ marginTop: 6 }}>
+                                            <label style={{ fontSize: 12 }}>Chord changes</label>
+                                            <input style={{ width: '100%', marginTop: 4 }} placeholder="Dm7 G7 (or Dm7@0 G7@2) — blank uses the function" value={editChanges} onChange={(e) => setEditChanges(e.target.value)} />
+                                          </div>
                                           <div style={{ marginTop: 6 }}>
                                             <label style={{ fontSize: 12 }}>Comment / Notes</label>
                                             <textarea rows={2} style={{ width: '100%', marginTop: 6 }} value={editComment} onChange={(e) => setEditComment(e.target.value)} />
@@ -1124,21 +1465,16 @@ function App() {
                                         </div>
                                       ) : (
                                         <>
-                                          <NotationView notes={(previewOverrides[globalIndex] || subLine).notes} tags={(previewOverrides[globalIndex] || subLine).tags ?? []} highlightIndex={highlight.area === 'available' && highlight.lineIdx === globalIndex ? highlight.noteIdx : -1} tripletStartIndex={(previewOverrides[globalIndex] || subLine).tripletStartIndex ?? -1} />
+                                          <NotationView labelMode={labelMode} instrument={readingInstrumentId} notes={(previewOverrides[globalIndex] || subLine).notes} tags={(previewOverrides[globalIndex] || subLine).tags ?? []} changes={(previewOverrides[globalIndex] || subLine).changes} pickup={(previewOverrides[globalIndex] || subLine).pickup ?? 0} timeSignature={lineMeter((previewOverrides[globalIndex] || subLine)).id} tonic={lineTonic(previewOverrides[globalIndex] || subLine)} mode={normalizeKey((previewOverrides[globalIndex] || subLine).key).mode} highlightIndex={highlight.area === 'available' && highlight.lineIdx === globalIndex ? highlight.noteIdx : -1} tuplets={lineTuplets((previewOverrides[globalIndex] || subLine))} />
                                           <div style={{ marginTop: 6, display: 'flex', gap: 8 }}>
                                             <button onClick={() => selectLine(previewOverrides[globalIndex] || subLine)} style={{ backgroundColor: "#4CAF50", color: "white" }}>Select</button>
                                             <button onClick={() => startEditLine(globalIndex)}>Edit</button>
-                                            <button onClick={() => playLine((previewOverrides[globalIndex] || subLine).notes, "8n", (noteIdx) => setHighlight({ area: 'available', lineIdx: globalIndex, noteIdx }), (previewOverrides[globalIndex] || subLine).tripletStartIndex ?? -1)}>
+                                            <button onClick={() => playback.play([previewOverrides[globalIndex] || subLine], { settings: playbackSettings, tag: { area: 'available', lineIdx: globalIndex } })}>
                                               Play Line
                                             </button>
                                             <button onClick={() => adjustAvailableOctave(globalIndex, -1)}>Octave -</button>
                                             <button onClick={() => adjustAvailableOctave(globalIndex, +1)}>Octave +</button>
-                                            {subLine.notes && subLine.notes.length === 9 && (
-                                              <>
-                                                <button onClick={() => adjustLineTriplet(globalIndex, -1)} title="Move triplet back">Triplet ←</button>
-                                                <button onClick={() => adjustLineTriplet(globalIndex, +1)} title="Move triplet forward">Triplet →</button>
-                                              </>
-                                            )}
+                                            <TupletControls line={subLine} onChange={(t) => setLineTuplets(globalIndex, t)} />
                                           </div>
                                           {/* tags shown only in edit UI */}
                                             {subLine.comment && (
@@ -1160,96 +1496,28 @@ function App() {
             );
           }
 
-          // After first selection, organize available lines into categories
+          // After first selection, organize available lines by how they connect
           const last = currentSequence[currentSequence.length - 1];
-          const endDeg = last.end?.degree;
-          const endIdx = endDeg ? SCALE_ORDER.indexOf(endDeg) : -1;
-          const n = SCALE_ORDER.length;
-          const CHORD_TONES = ["1", "3", "5", "7"];
-
-          function circularDistance(a, b) {
-            const diff = Math.abs(a - b);
-            return Math.min(diff, n - diff);
-          }
+          const activeRules = CONNECTION_RULES.filter((r) => enabledRules.includes(r.id));
+          // Connection that accepted each candidate, shown next to it
+          const matchedBy = new Map();
 
-          function forwardDistance(a, b) {
-            return (b - a + n) % n;
-          }
-
-          function nearestChordToneAboveIndex(idx) {
-            for (let i = 1; i <= n; i++) {
-              const candidate = (idx + i) % n;
-              if (CHORD_TONES.includes(SCALE_ORDER[candidate])) return candidate;
-            }
-            return null;
-          }
-
-          function nearestChordToneBelowIndex(idx) {
-            for (let i = 1; i <= n; i++) {
-              const candidate = (idx - i + n) % n;
-              if (CHORD_TONES.includes(SCALE_ORDER[candidate])) return candidate;
-            }
-            return null;
-          }
-
-          const buckets = {
-            tied: [],
-            halfUp: [],
-            halfDown: [],
-            wholeUp: [],
-            wholeDown: [],
-            chordUp: [],
-            chordDown: []
-          };
+          const buckets = {};
+          CONNECTION_BUCKETS.forEach((b) => { buckets[b.id] = []; });
 
           lines.forEach((line) => {
             if (!isLibraryEnabled(line.libraryId)) return; // skip lines from disabled libraries
             if (!allowDuplicates && currentSequence.includes(line)) return; // exclude already selected unless duplicates allowed
-            const startDeg = line.start?.degree;
-            const startIdx = startDeg ? SCALE_ORDER.indexOf(startDeg) : -1;
-            if (startIdx === endIdx) {
-              buckets.tied.push(line);
-              return;
-            }
-
-            if (startIdx === -1 || endIdx === -1) return;
-
-            const chromDist = circularDistance(endIdx, startIdx);
-            const fwd = forwardDistance(endIdx, startIdx);
-
-            if (chromDist === 1) {
-              if (fwd === 1) buckets.halfUp.push(line);
-              else buckets.halfDown.push(line);
-              return;
-            }
-
-            if (chromDist === 2) {
-              if (fwd === 2) buckets.wholeUp.push(line);
-              else buckets.wholeDown.push(line);
-              return;
-            }
-
-            const aboveIdx = nearestChordToneAboveIndex(endIdx);
-            const belowIdx = nearestChordToneBelowIndex(endIdx);
-            if (aboveIdx !== null && startIdx === aboveIdx) {
-              buckets.chordUp.push(line);
-              return;
-            }
-            if (belowIdx !== null && startIdx === belowIdx) {
-              buckets.chordDown.push(line);
-              return;
-            }
+            // judge the previewed register so "Fit octave" takes effect
+            const candidate = previewOverrides[lines.indexOf(line)] || line;
+            const connection = classifyConnection(last, candidate, activeRules);
+            const bucketId = bucketForConnection(connection);
+            if (!bucketId) return; // no enabled rule accepts this line
+            matchedBy.set(line, connection);
+            buckets[bucketId].push(line);
           });
 
-          const groups = [
-            { key: 'Tied (Same note)', items: buckets.tied },
-            { key: 'Half step up', items: buckets.halfUp },
-            { key: 'Half step down', items: buckets.halfDown },
-            { key: 'Whole step up', items: buckets.wholeUp },
-            { key: 'Whole step down', items: buckets.wholeDown },
-            { key: 'Chord tone up', items: buckets.chordUp },
-            { key: 'Chord tone down', items: buckets.chordDown }
-          ];
+          const groups = CONNECTION_BUCKETS.map((b) => ({ key: b.label, items: buckets[b.id] }));
 
           return (
             <div>
@@ -1262,8 +1530,7 @@ function App() {
                         ) : (
                           (() => {
                             const funcBuckets = categorizeByFunction(g.items);
-                            const funcOrder = ['Major ii-v', 'Minor ii-v', 'Static Minor', 'Dominant 7', 'Altered Dominant', 'Phrygian Dominant', 'H/W Diminished', 'Tritone Sub', 'Other'];
-                            return funcOrder
+                            return FUNCTION_CATEGORIES
                               .filter((fKey) => funcBuckets[fKey] && funcBuckets[fKey].length > 0)
                               .map((fKey) => (
                               <div key={`${g.key}-${fKey}`} style={{ marginBottom: 8 }}>
@@ -1276,6 +1543,19 @@ function App() {
                                     return (
                                       <div key={si} style={{ border: "1px solid #eee", padding: 8, marginBottom: 8, borderRadius: 4 }}>
                                         <p style={{ margin: 0, marginBottom: 6 }}>Line {globalIndex + 1}: {subLine.start.degree} → {subLine.end.degree}
+                                          {matchedBy.get(subLine) && (
+                                            <span style={{ marginLeft: 8, fontSize: 12, color: '#2a7' }}>
+                                              via {matchedBy.get(subLine).rule.label}{matchedBy.get(subLine).direction ? ` (${matchedBy.get(subLine).direction})` : ''}
+                                            </span>
+                                          )}
+                                          {matchedBy.get(subLine) && matchedBy.get(subLine).octaveShift !== 0 && (
+                                            <span style={{ marginLeft: 8, fontSize: 12, color: '#a60' }}>
+                                              {matchedBy.get(subLine).distance > 0 ? '+' : ''}{matchedBy.get(subLine).distance} semitones as written
+                                              <button style={{ marginLeft: 6, fontSize: 11 }} onClick={() => adjustAvailableOctave(globalIndex, matchedBy.get(subLine).octaveShift)}>
+                                                Fit octave ({matchedBy.get(subLine).octaveShift > 0 ? '+' : ''}{matchedBy.get(subLine).octaveShift})
+                                              </button>
+                                            </span>
+                                          )}
                                           {currentSequence.includes(subLine) && (
                                             <span style={{ marginLeft: 8, fontSize: 12, color: '#a00' }}>Duplicate in sequence</span>
                                           )}
@@ -1298,6 +1578,23 @@ function App() {
                                                   <option value="tritone sub">Tritone Sub</option>
                                                 </select>
                                               </div>
+                                              <div style={{ marginTop: 6, display: 'flex', gap: 8, alignItems: 'center' }}>
+                                                <label style={{ fontSize: 12 }}>Key</label>
+                                                <select value={editKey.tonic} onChange={(e) => setEditKey({ ...editKey, tonic: e.target.value })}>
+                                                  {KEYS.map((k) => <option key={k} value={k}>{k}</option>)}
+                                                </select>
+                                                <select value={editKey.mode} onChange={(e) => setEditKey({ ...editKey, mode: e.target.value })}>
+                                                  {Object.keys(MODES).map((m) => <option key={m} value={m}>{m}</option>)}
+                                                </select>
+                                                <label style={{ fontSize: 12 }}>Time</label>
+                                                <select value={editTimeSignature} onChange={(e) => setEditTimeSignature(e.target.value)}>
+                                                  {TIME_SIGNATURES.map((t) => <option key={t.id} value={t.id}>{t.id}</option>)}
+                                                </select>
+                                              </div>
+                                              <div style={{ marginTop: 6 }}>
+                                                <label style={{ fontSize: 12 }}>Chord changes</label>
+                                                <input style={{ width: '100%', marginTop: 4 }} placeholder="Dm7 G7 (or Dm7@0 G7@2) — blank uses the function" value={editChanges} onChange={(e) => setEditChanges(e.target.value)} />
+                                              </div>
                                               <div style={{ marginTop: 6 }}>
                                                 <label style={{ fontSize: 12 }}>Comment / Notes</label>
                                                 <textarea rows={2} style={{ width: '100%', marginTop: 6 }} value={editComment} onChange={(e) => setEditComment(e.target.value)} />
@@ -1309,21 +1606,16 @@ function App() {
                                         </div>
                                         ) : (
                                           <>
-                                            <NotationView notes={(previewOverrides[globalIndex] || subLine).notes} tags={(previewOverrides[globalIndex] || subLine).tags ?? []} highlightIndex={highlight.area === 'available' && highlight.lineIdx === globalIndex ? highlight.noteIdx : -1} tripletStartIndex={(previewOverrides[globalIndex] || subLine).tripletStartIndex ?? -1} />
+                                            <NotationView labelMode={labelMode} instrument={readingInstrumentId} notes={(previewOverrides[globalIndex] || subLine).notes} tags={(previewOverrides[globalIndex] || subLine).tags ?? []} changes={(previewOverrides[globalIndex] || subLine).changes} pickup={(previewOverrides[globalIndex] || subLine).pickup ?? 0} timeSignature={lineMeter((previewOverrides[globalIndex] || subLine)).id} tonic={lineTonic(previewOverrides[globalIndex] || subLine)} mode={normalizeKey((previewOverrides[globalIndex] || subLine).key).mode} highlightIndex={highlight.area === 'available' && highlight.lineIdx === globalIndex ? highlight.noteIdx : -1} tuplets={lineTuplets((previewOverrides[globalIndex] || subLine))} />
                                               <div style={{ marginTop: 6, display: 'flex', gap: 8, flexWrap: 'wrap' }}>
                                                 <button onClick={() => selectLine(previewOverrides[globalIndex] || subLine)}>Select</button>
                                                 <button onClick={() => startEditLine(globalIndex)}>Edit</button>
-                                                <button onClick={() => playLine((previewOverrides[globalIndex] || subLine).notes, "8n", (noteIdx) => setHighlight({ area: 'available', lineIdx: globalIndex, noteIdx }), (previewOverrides[globalIndex] || subLine).tripletStartIndex ?? -1)}>
+                                                <button onClick={() => playback.play([previewOverrides[globalIndex] || subLine], { settings: playbackSettings, tag: { area: 'available', lineIdx: globalIndex } })}>
                                                   Play Line
                                                 </button>
                                                 <button onClick={() => adjustAvailableOctave(globalIndex, -1)}>Octave -</button>
                                                 <button onClick={() => adjustAvailableOctave(globalIndex, +1)}>Octave +</button>
-                                              {subLine.notes && subLine.notes.length === 9 && (
-                                                <>
-                                                  <button onClick={() => adjustLineTriplet(globalIndex, -1)} title="Move triplet back">Triplet ←</button>
-                                                  <button onClick={() => adjustLineTriplet(globalIndex, +1)} title="Move triplet forward">Triplet →</button>
-                                                </>
-                                              )}
+                                              <TupletControls line={subLine} onChange={(t) => setLineTuplets(globalIndex, t)} />
                                               
                                             </div>
                                             {/* tags shown only in edit UI */}
@@ -1383,7 +1675,7 @@ function App() {
           const groups = {};
           lines.forEach((line) => {
             if (!isLibraryEnabled(line.libraryId)) return; // skip lines from disabled libraries
-            const key = line.start?.degree || "unknown";
+            const key = canonicalDegree(line.start?.degree) || "unknown";
             if (!groups[key]) groups[key] = [];
             groups[key].push(line);
           });
@@ -1397,8 +1689,7 @@ function App() {
             <Collapsible key={key} title={`${key}`} defaultOpen={false} right={<span style={{ color: '#666', fontSize: 12 }}>({groups[key].length})</span>}>
                 {(() => {
                 const funcBuckets = categorizeByFunction(groups[key]);
-                const funcOrder = ['Major ii-v', 'Minor ii-v', 'Static Minor', 'Dominant 7', 'Altered Dominant', 'Phrygian Dominant', 'H/W Diminished', 'Tritone Sub', 'Other'];
-                return funcOrder
+                return FUNCTION_CATEGORIES
                   .filter((fKey) => funcBuckets[fKey] && funcBuckets[fKey].length > 0)
                   .map((fKey) => (
                     <div key={`${key}-all-${fKey}`} style={{ marginBottom: 10 }}>
@@ -1426,6 +1717,23 @@ function App() {
                                     <option value="tritone sub">Tritone Sub</option>
                                   </select>
                                 </div>
+                                <div style={{ marginTop: 6, display: 'flex', gap: 8, alignItems: 'center' }}>
+                                  <label style={{ fontSize: 12 }}>Key</label>
+                                  <select value={editKey.tonic} onChange={(e) => setEditKey({ ...editKey, tonic: e.target.value })}>
+                                    {KEYS.map((k) => <option key={k} value={k}>{k}</option>)}
+                                  </select>
+                                  <select value={editKey.mode} onChange={(e) => setEditKey({ ...editKey, mode: e.target.value })}>
+                                    {Object.keys(MODES).map((m) => <option key={m} value={m}>{m}</option>)}
+                                  </select>
+                                  <label style={{ fontSize: 12 }}>Time</label>
+                                  <select value={editTimeSignature} onChange={(e) => setEditTimeSignature(e.target.value)}>
+                                    {TIME_SIGNATURES.map((t) => <option key={t.id} value={t.id}>{t.id}</option>)}
+                                  </select>
+                                </div>
+                                <div style={{ marginTop: 6 }}>
+                                  <label style={{ fontSize: 12 }}>Chord changes</label>
+                                  <input style={{ width: '100%', marginTop: 4 }} placeholder="Dm7 G7 (or Dm7@0 G7@2) — blank uses the function" value={editChanges} onChange={(e) => setEditChanges(e.target.value)} />
+                                </div>
                                 <div style={{ marginTop: 6 }}>
                                   <label style={{ fontSize: 12 }}>Comment / Notes</label>
                                   <textarea rows={2} style={{ width: '100%', marginTop: 6 }} value={editComment} onChange={(e) => setEditComment(e.target.value)} />
@@ -1437,20 +1745,18 @@ function App() {
                               </div>
                             ) : (
                               <>
-                                <NotationView notes={subLine.notes} tags={subLine.tags ?? []} highlightIndex={highlight.area === 'available' && highlight.lineIdx === globalIndex ? highlight.noteIdx : -1} tripletStartIndex={subLine.tripletStartIndex ?? -1} />
+                                <NotationView labelMode={labelMode} instrument={readingInstrumentId} notes={subLine.notes} tags={subLine.tags ?? []} changes={subLine.changes} pickup={subLine.pickup ?? 0} timeSignature={lineMeter(subLine).id} tonic={lineTonic(subLine)} mode={normalizeKey(subLine.key).mode} highlightIndex={highlight.area === 'available' && highlight.lineIdx === globalIndex ? highlight.noteIdx : -1} tuplets={lineTuplets(subLine)} />
                                 <div style={{ marginTop: 8, display: 'flex', gap: 8, alignItems: 'center' }}>
                                   <button onClick={() => startEditLine(globalIndex)}>Edit</button>
-                                  <button onClick={() => playLine(subLine.notes, "8n", (noteIdx) => setHighlight({ area: 'available', lineIdx: globalIndex, noteIdx }), subLine.tripletStartIndex ?? -1)}>
+                                  <button onClick={() => playback.play([subLine], { settings: playbackSettings, tag: { area: 'available', lineIdx: globalIndex } })}>
                                     Play Line
                                   </button>
                                   <button onClick={() => adjustLineOctave(globalIndex, -1)}>Octave -</button>
                                   <button onClick={() => adjustLineOctave(globalIndex, +1)}>Octave +</button>
-                                  {subLine.notes && subLine.notes.length === 9 && (
-                                    <>
-                                      <button onClick={() => adjustLineTriplet(globalIndex, -1)} title="Move triplet back">Triplet ←</button>
-                                      <button onClick={() => adjustLineTriplet(globalIndex, +1)} title="Move triplet forward">Triplet →</button>
-                                    </>
-                                  )}
+                                  <TupletControls line={subLine} onChange={(t) => setLineTuplets(globalIndex, t)} />
+                                  <button onClick={() => exportMusicXml([subLine], `Line ${globalIndex + 1}`)} title="Export this line as MusicXML">MusicXML</button>
+                                  <button onClick={() => exportMidi([subLine], `Line ${globalIndex + 1}`)} title="Export this line as MIDI, timed as in playback">MIDI</button>
+                                  <button onClick={() => exportAbc([subLine], `Line ${globalIndex + 1}`)} title="Export this line as ABC text">ABC</button>
                                   <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: 8 }}>
                                     <label style={{ fontSize: 12, color: '#666' }}>Library</label>
                                     <select value={subLine.libraryId || 'user'} onChange={(e) => updateLineLibrary(globalIndex, e.target.value)} style={{ padding: 6 }}>
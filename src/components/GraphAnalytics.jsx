@@ -0,0 +1,67 @@
+import { useState } from "react";
+import { buildConnectionGraph, analyzeConnectionGraph } from "../theory/connectionGraph";
+
+const TOP_COUNT = 10;
+
+// Connection-graph report for the available lines: where chains get stuck
+// and which lines hold the material together.
+export default function GraphAnalytics({ lines, isAvailable = () => true, rules }) {
+  const [report, setReport] = useState(null);
+
+  const analyze = () => {
+    const pool = lines.filter(isAvailable);
+    const graph = buildConnectionGraph(pool, rules);
+    setReport({ pool, ...analyzeConnectionGraph(graph) });
+  };
+
+  // Lines are named by their position in the full line list, as elsewhere
+  const describe = (i) => {
+    const line = report.pool[i];
+    return `Line ${lines.indexOf(line) + 1} (${line.start?.degree} → ${line.end?.degree})`;
+  };
+
+  const list = (indices) => (
+    indices.length === 0
+      ? <div style={{ color: "#666", fontSize: 13 }}>None</div>
+      : <ul style={{ margin: "4px 0", paddingLeft: 20, fontSize: 13 }}>{indices.map((i) => <li key={i}>{describe(i)}</li>)}</ul>
+  );
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <button onClick={analyze}>📈 Analyze connections</button>
+        {report && <span style={{ fontSize: 12, color: "#666" }}>{report.pool.length} lines in enabled libraries, using the Explorer's connection rules</span>}
+      </div>
+
+      {report && (
+        <div style={{ marginTop: 8 }}>
+          <h5 style={{ margin: "6px 0" }}>Dead ends ({report.deadEnds.length}) — nothing can follow these</h5>
+          {list(report.deadEnds)}
+
+          <h5 style={{ margin: "6px 0" }}>Orphans ({report.orphans.length}) — nothing leads into these</h5>
+          {list(report.orphans)}
+
+          <h5 style={{ margin: "6px 0" }}>Most connected</h5>
+          <ul style={{ margin: "4px 0", paddingLeft: 20, fontSize: 13 }}>
+            {report.ranking.slice(0, TOP_COUNT).map((r) => (
+              <li key={r.index}>{describe(r.index)} — {r.outDegree} out, {r.inDegree} in</li>
+            ))}
+          </ul>
+
+          <h5 style={{ margin: "6px 0" }}>Strongly connected groups ({report.components.length})</h5>
+          <div style={{ fontSize: 12, color: "#666" }}>Every line in a group can reach every other line.</div>
+          {report.components.map((c, idx) => (
+            <div key={idx} style={{ marginTop: 4, fontSize: 13 }}>
+              <strong>Group {idx + 1}</strong> ({c.length} lines): {c.map((i) => `Line ${lines.indexOf(report.pool[i]) + 1}`).join(", ")}
+            </div>
+          ))}
+          {report.isolated.length > 0 && (
+            <div style={{ marginTop: 4, fontSize: 13 }}>
+              <strong>Outside any group</strong> ({report.isolated.length}): {report.isolated.map((i) => `Line ${lines.indexOf(report.pool[i]) + 1}`).join(", ")}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
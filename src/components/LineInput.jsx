@@ -1,11 +1,26 @@
 import { parseNote } from "../theory/noteParser";
 import { buildJazzLine } from "../theory/lineBuilder";
+import { isAbcText, abcToLine } from "../theory/abc";
+import { MODES } from "../theory/degrees";
+import { KEYS } from "../theory/transpose";
 
 export default function LineInput({ onLineCreated }) {
   const handleSubmit = (e) => {
     e.preventDefault();
 
     const raw = e.target.notes.value;
+    const key = { tonic: e.target.tonic.value, mode: e.target.mode.value };
+
+    // ABC ("d2 cA (3BAG") carries its own rhythm, chords and bars; a K:
+    // field in it overrides the key picked here
+    if (isAbcText(raw)) {
+      try {
+        onLineCreated(abcToLine(raw, key));
+      } catch (err) {
+        alert(err.message);
+      }
+      return;
+    }
 
     const noteStrings = raw
       .split(",")
@@ -15,7 +30,7 @@ export default function LineInput({ onLineCreated }) {
 
     try {
       const notes = noteStrings.map(parseNote);
-      const line = buildJazzLine(notes);
+      const line = buildJazzLine(notes, -1, key);
 
       onLineCreated(line);
     } catch (err) {
@@ -29,9 +44,17 @@ export default function LineInput({ onLineCreated }) {
         name="notes"
         rows="3"
         style={{ width: "100%" }}
-        placeholder="A5, G5, E5, D5"
+        placeholder={'A5, G5, E5, D5  — or ABC: "Dm7"d2 cA (3BAG F2'}
       />
-      <br />
+      <div style={{ margin: "4px 0", display: "flex", gap: 8, alignItems: "center" }}>
+        <label style={{ fontSize: 13 }}>Key</label>
+        <select name="tonic" defaultValue="C">
+          {KEYS.map((k) => <option key={k} value={k}>{k}</option>)}
+        </select>
+        <select name="mode" defaultValue="major">
+          {Object.keys(MODES).map((m) => <option key={m} value={m}>{m}</option>)}
+        </select>
+      </div>
       <button type="submit">Render notation</button>
     </form>
   );
@@ -0,0 +1,154 @@
+import { useState } from "react";
+import { STRAIGHT, TRIPLET_SWING } from "../theory/timing";
+import { BASS_STYLES } from "../theory/accompaniment";
+import { playback } from "../utils/playback";
+import { INSTRUMENTS } from "../utils/instruments";
+
+const PARTS = [
+  { id: "melody", label: "Melody" },
+  { id: "comping", label: "Comping" },
+  { id: "bass", label: "Bass" },
+  { id: "click", label: "Click" }
+];
+
+// Interval each loop pass moves by, in semitones
+const LOOP_TRANSPOSITIONS = [
+  { value: 0, label: "same key" },
+  { value: 5, label: "up a 4th (cycle of 4ths)" },
+  { value: 7, label: "up a 5th" },
+  { value: 1, label: "up a half step" },
+  { value: 11, label: "down a half step" },
+  { value: 2, label: "up a whole step" },
+  { value: 10, label: "down a whole step" }
+];
+
+// A bpm field that can be typed into freely: the text is only clamped to
+// 30-360 (or reset to `fallback` when blank) on blur or Enter
+function TempoInput({ value, fallback, onCommit }) {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft === null) return;
+    onCommit(Math.min(360, Math.max(30, Number(draft) || fallback)));
+    setDraft(null);
+  };
+  return (
+    <input
+      type="number"
+      min={30}
+      max={360}
+      value={draft ?? value}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === "Enter") commit(); }}
+      style={{ width: 60 }}
+    />
+  );
+}
+
+// Tempo, swing, click and backing settings used by every Play button
+export default function PlaybackControls({ settings, onChange, nowPlaying }) {
+  const update = (patch) => onChange({ ...settings, ...patch });
+  const setVolume = (part, value) => update({ volumes: { ...settings.volumes, [part]: value } });
+  const setLoop = (patch) => update({ loop: { ...settings.loop, ...patch } });
+  const setInstrument = (part, id) => update({ instruments: { ...settings.instruments, [part]: id } });
+  const loop = settings.loop;
+  const swingPercent = Math.round(settings.swing * 100);
+
+  return (
+    <div style={{ marginBottom: 12, fontSize: 13 }}>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 12, alignItems: "center" }}>
+        {nowPlaying?.status === "playing"
+          ? <button onClick={() => playback.pause()}>⏸ Pause</button>
+          : <button onClick={() => playback.resume()} disabled={nowPlaying?.status !== "paused"}>▶️ Resume</button>}
+        <button onClick={() => playback.stop()} disabled={!nowPlaying || nowPlaying.status === "stopped"}>⏹ Stop</button>
+        {nowPlaying && nowPlaying.status !== "stopped" && (
+          <span style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+            <button onClick={() => playback.seekToLine(Math.max(0, nowPlaying.lineIdx - 1))} title="Previous line">⏮</button>
+            <button onClick={() => playback.seekToLine(nowPlaying.lineIdx + 1)} title="Next line">⏭</button>
+            <span style={{ color: "#666" }}>
+              {nowPlaying.lineIdx >= 0 ? `line ${nowPlaying.lineIdx + 1}, note ${nowPlaying.noteIdx + 1}` : nowPlaying.status}
+              {nowPlaying.pass > 0 ? ` (pass ${nowPlaying.pass + 1})` : ""}
+            </span>
+          </span>
+        )}
+        <label style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+          ⏱️ Tempo
+          <TempoInput value={settings.bpm} fallback={120} onCommit={(bpm) => update({ bpm })} />
+          bpm
+        </label>
+        <label style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+          Swing
+          <input type="range" min={STRAIGHT} max={TRIPLET_SWING} step={0.01} value={settings.swing} onChange={(e) => update({ swing: Number(e.target.value) })} />
+          <span style={{ width: 70 }}>{swingPercent <= 50 ? "straight" : `${swingPercent}%`}</span>
+        </label>
+        <label style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+          <input type="checkbox" checked={settings.metronome} onChange={(e) => update({ metronome: e.target.checked })} />
+          Click on 2 &amp; 4
+        </label>
+        <label style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+          <input type="checkbox" checked={settings.countIn} onChange={(e) => update({ countIn: e.target.checked })} />
+          Count-in bar
+        </label>
+        <label style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+          🎷 Voice
+          <select value={settings.instruments.melody} onChange={(e) => setInstrument("melody", e.target.value)}>
+            {INSTRUMENTS.map((i) => <option key={i.id} value={i.id}>{i.label}</option>)}
+          </select>
+        </label>
+        <label style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+          <input type="checkbox" checked={settings.backing} onChange={(e) => update({ backing: e.target.checked })} />
+          🎹 Backing
+        </label>
+        {settings.backing && (
+          <label style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+            Comping
+            <select value={settings.instruments.comping} onChange={(e) => setInstrument("comping", e.target.value)}>
+              {INSTRUMENTS.map((i) => <option key={i.id} value={i.id}>{i.label}</option>)}
+            </select>
+          </label>
+        )}
+        {settings.backing && (
+          <label style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+            Bass
+            <select value={settings.bassStyle} onChange={(e) => update({ bassStyle: e.target.value })}>
+              {BASS_STYLES.map((style) => <option key={style} value={style}>{style === "roots" ? "roots & fifths" : "walking"}</option>)}
+            </select>
+          </label>
+        )}
+        {PARTS.filter((p) => settings.backing || (p.id !== "comping" && p.id !== "bass")).map((p) => (
+          <label key={p.id} style={{ display: "inline-flex", alignItems: "center", gap: 4 }} title={`${settings.volumes[p.id]} dB`}>
+            {p.label}
+            <input type="range" min={-40} max={0} step={1} value={settings.volumes[p.id]} onChange={(e) => setVolume(p.id, Number(e.target.value))} style={{ width: 70 }} />
+          </label>
+        ))}
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 12, alignItems: "center", marginTop: 6 }}>
+        <label style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+          <input type="checkbox" checked={loop.enabled} onChange={(e) => setLoop({ enabled: e.target.checked })} />
+          🔁 Loop
+        </label>
+        {loop.enabled && (
+          <>
+            <label style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+              Passes
+              <input type="number" min={0} max={99} value={loop.passes} onChange={(e) => setLoop({ passes: Math.max(0, Number(e.target.value) || 0) })} style={{ width: 50 }} />
+              <span style={{ color: "#666" }}>(0 = until stopped)</span>
+            </label>
+            <label style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+              Tempo +
+              <input type="number" min={0} max={40} value={loop.bpmStep} onChange={(e) => setLoop({ bpmStep: Math.max(0, Number(e.target.value) || 0) })} style={{ width: 50 }} />
+              bpm per pass, up to
+              <TempoInput value={loop.targetBpm} fallback={200} onCommit={(targetBpm) => setLoop({ targetBpm })} />
+            </label>
+            <label style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+              Each pass
+              <select value={loop.transpose} onChange={(e) => setLoop({ transpose: Number(e.target.value) })}>
+                {LOOP_TRANSPOSITIONS.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+              </select>
+            </label>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { useEffect, useRef } from "react";
+import { Renderer } from "vexflow";
+
+import { readingInstrument } from "../theory/readingInstruments";
+import { lineMeter, lineTuplets } from "../theory/timing";
+import { normalizeKey } from "../theory/degrees";
+import { keySignature } from "../theory/keySignature";
+import { buildLineNotes, drawMeasures, drawNoteGroups, makeResponsive } from "../utils/notation";
+
+// A whole sequence as one continuous part, like a lead sheet: the lines'
+// bars flow across systems of `measuresPerRow`, the clef and key signature
+// open each system (a key change is marked where it happens), chord symbols
+// sit above the notes and courtesy accidentals carry from line to line.
+// highlightLine/highlightNote mark the note being played (indices into
+// `sequence`).
+const WIDTH = 900;
+const ROW_HEIGHT = 150;
+
+export default function ScoreView({ sequence, labelMode = "degree", instrument = "concert", highlightLine = -1, highlightNote = -1, measuresPerRow = 4 }) {
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    containerRef.current.innerHTML = "";
+    if (!(sequence || []).some((line) => line?.notes?.length > 0)) return;
+
+    const { clef } = readingInstrument(instrument);
+
+    // every line's bars, one after the other
+    const measures = [];
+    const groups = [];
+    let prev = null;
+    sequence.forEach((line, lineIdx) => {
+      if (!line?.notes?.length) return;
+      const meter = lineMeter(line);
+      const { tonic, mode } = normalizeKey(line.key);
+      const built = buildLineNotes({
+        notes: line.notes,
+        tuplets: lineTuplets(line),
+        meter,
+        pickup: line.pickup ?? 0,
+        clef,
+        instrument,
+        tonic,
+        mode,
+        labelMode,
+        changes: line.changes,
+        tags: line.tags ?? [],
+        highlightIndex: lineIdx === highlightLine ? highlightNote : -1,
+        // no courtesy accidentals across a key change
+        courtesy: prev && prev.key === keySignature(line.key).name ? prev.built.lastBarAltered : {}
+      });
+      for (let m = 0; m < built.measureCount; m++) {
+        measures.push({ meter, signature: built.signature, vexNotes: built.vexNotes.filter((_, k) => built.events[k].measure === m) });
+      }
+      groups.push(built);
+      prev = { key: keySignature(line.key).name, built };
+    });
+
+    const rows = Math.ceil(measures.length / measuresPerRow);
+    const width = WIDTH;
+    const height = 200 + (rows - 1) * ROW_HEIGHT;
+
+    const renderer = new Renderer(containerRef.current, Renderer.Backends.SVG);
+    renderer.resize(width, height);
+    const context = renderer.getContext();
+
+    drawMeasures(context, measures, { width: WIDTH - 20, rowHeight: ROW_HEIGHT, perRow: measuresPerRow, clef });
+    groups.forEach((built) => drawNoteGroups(context, built));
+
+    makeResponsive(containerRef.current, width, height);
+  }, [sequence, labelMode, instrument, highlightLine, highlightNote, measuresPerRow]);
+
+  return <div ref={containerRef} />;
+}
@@ -0,0 +1,123 @@
+import { useState } from "react";
+import { CONNECTION_RULES } from "../theory/connections";
+import { buildConnectionGraph } from "../theory/connectionGraph";
+import { randomSequence, enumerateSequences, parseProgression } from "../theory/sequenceGenerator";
+
+const newSeed = () => Math.floor(Math.random() * 1000000);
+
+const NO_FIT = "No sequence fits these settings.";
+const GAVE_UP = "The search gave up before finding a sequence; try a shorter length, fewer constraints or another seed.";
+
+// Generates sequences from `lines` (only those `isAvailable` accepts) and
+// hands the chosen one to `onLoad(lines)`.
+export default function SequenceGenerator({ lines, isAvailable = () => true, onLoad }) {
+  const [unit, setUnit] = useState("lines");
+  const [length, setLength] = useState(4);
+  const [progression, setProgression] = useState("");
+  const [types, setTypes] = useState(() => CONNECTION_RULES.map((r) => r.id));
+  const [allowDuplicates, setAllowDuplicates] = useState(false);
+  const [seed, setSeed] = useState(newSeed);
+  const [results, setResults] = useState(null);
+  const [message, setMessage] = useState("");
+
+  const toggleType = (id) => {
+    setTypes((prev) => (prev.includes(id) ? prev.filter((t) => t !== id) : [...prev, id]));
+  };
+
+  // Graph over the available lines; results map back through `pool`
+  const prepare = () => {
+    const pool = lines.filter(isAvailable);
+    const rules = CONNECTION_RULES.filter((r) => types.includes(r.id));
+    const graph = buildConnectionGraph(pool, rules);
+    const count = Math.max(1, Number(length) || 1);
+    const options = {
+      ...(unit === "measures" ? { measures: count } : { length: count }),
+      progression: parseProgression(progression),
+      allowDuplicates
+    };
+    return { pool, graph, options };
+  };
+
+  const generate = (useSeed) => {
+    const { pool, graph, options } = prepare();
+    const { sequence, exhausted } = randomSequence(graph, { ...options, seed: useSeed });
+    setResults(null);
+    if (!sequence) {
+      setMessage(exhausted ? GAVE_UP : NO_FIT);
+      return;
+    }
+    setMessage(`Loaded seed ${useSeed}.`);
+    onLoad(sequence.map((i) => pool[i]));
+  };
+
+  const rollAndGenerate = () => {
+    const next = newSeed();
+    setSeed(next);
+    generate(next);
+  };
+
+  const enumerate = () => {
+    const { pool, graph, options } = prepare();
+    const { sequences, exhausted } = enumerateSequences(graph, options);
+    const found = sequences.map((path) => path.map((i) => pool[i]));
+    setResults(found);
+    if (found.length === 0) {
+      setMessage(exhausted ? GAVE_UP : NO_FIT);
+      return;
+    }
+    setMessage(`${found.length} sequence${found.length === 1 ? "" : "s"} found${found.length >= 200 ? " (showing the first 200)" : ""}${exhausted ? "; the search stopped early, so there may be more" : ""}.`);
+  };
+
+  return (
+    <div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+        <label style={{ fontSize: 13 }}>Length</label>
+        <input type="number" min={1} max={64} value={length} onChange={(e) => setLength(e.target.value)} style={{ width: 60 }} />
+        <select value={unit} onChange={(e) => setUnit(e.target.value)}>
+          <option value="lines">lines</option>
+          <option value="measures">measures</option>
+        </select>
+        <label style={{ display: "inline-flex", alignItems: "center", gap: 4, fontSize: 13 }}>
+          <input type="checkbox" checked={allowDuplicates} onChange={(e) => setAllowDuplicates(e.target.checked)} />
+          Allow duplicates
+        </label>
+      </div>
+
+      <div style={{ marginTop: 6 }}>
+        <label style={{ fontSize: 12 }}>Progression (optional, one step per line)</label>
+        <input style={{ width: "100%", marginTop: 4 }} placeholder="Major ii-v | Dm7 G7 | *" value={progression} onChange={(e) => setProgression(e.target.value)} />
+      </div>
+
+      <div style={{ marginTop: 6, display: "flex", flexWrap: "wrap", gap: 12, alignItems: "center" }}>
+        <span style={{ fontSize: 13 }}>Connections</span>
+        {CONNECTION_RULES.map((rule) => (
+          <label key={rule.id} style={{ display: "inline-flex", alignItems: "center", gap: 4, fontSize: 13 }}>
+            <input type="checkbox" checked={types.includes(rule.id)} onChange={() => toggleType(rule.id)} />
+            {rule.label}
+          </label>
+        ))}
+      </div>
+
+      <div style={{ marginTop: 8, display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+        <label style={{ fontSize: 13 }}>Seed</label>
+        <input type="number" value={seed} onChange={(e) => setSeed(Number(e.target.value))} style={{ width: 100 }} />
+        <button onClick={() => generate(seed)}>🎲 Generate</button>
+        <button onClick={rollAndGenerate}>New seed</button>
+        <button onClick={enumerate} title="Every sequence of two lines or more, up to the length">📚 Enumerate all up to length</button>
+      </div>
+
+      {message && <div style={{ marginTop: 6, fontSize: 12, color: "#666" }}>{message}</div>}
+
+      {results && results.length > 0 && (
+        <div style={{ marginTop: 6, maxHeight: 240, overflowY: "auto" }}>
+          {results.map((seq, idx) => (
+            <div key={idx} style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13, padding: "2px 0" }}>
+              <button onClick={() => onLoad(seq)}>Load</button>
+              <span>{seq.map((l) => `Line ${lines.indexOf(l) + 1}`).join(" → ")}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
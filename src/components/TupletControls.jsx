@@ -0,0 +1,36 @@
+import { TUPLET_RATIOS, addTuplet, moveTuplet, lineTuplets } from "../theory/timing";
+
+// Add, move and remove a line's tuplet groups ([{ start, actual, normal, value }]);
+// groups are kept inside the line's bars
+export default function TupletControls({ line, onChange }) {
+  const tuplets = lineTuplets(line);
+  const noteCount = line.notes?.length ?? 0;
+  const ratioLabel = (t) => `${t.actual}:${t.normal}`;
+
+  // Notes with their own rhythm (typed ABC, imported files) carry their
+  // tuplets in it, and the line's group list does not apply to them
+  if (line.notes?.some((n) => n.rhythm)) {
+    return (
+      <select value="" disabled title="This line's tuplets come from its notes' rhythms">
+        <option value="">+ Tuplet</option>
+      </select>
+    );
+  }
+
+  return (
+    <span style={{ display: "inline-flex", flexWrap: "wrap", alignItems: "center", gap: 4 }}>
+      {tuplets.map((t, i) => (
+        <span key={`${t.start}-${i}`} style={{ display: "inline-flex", alignItems: "center", gap: 2, border: "1px solid #ccc", borderRadius: 4, padding: "0 4px" }}>
+          {ratioLabel(t)} @ note {t.start + 1}
+          <button onClick={() => onChange(moveTuplet(tuplets, i, -1, line))} title="Move tuplet back">←</button>
+          <button onClick={() => onChange(moveTuplet(tuplets, i, +1, line))} title="Move tuplet forward">→</button>
+          <button onClick={() => onChange(tuplets.filter((_, j) => j !== i))} title="Remove tuplet">✕</button>
+        </span>
+      ))}
+      <select value="" onChange={(e) => e.target.value && onChange(addTuplet(tuplets, e.target.value, line))} title="Add a tuplet group">
+        <option value="">+ Tuplet</option>
+        {TUPLET_RATIOS.filter((r) => r.actual <= noteCount).map((r) => <option key={r.id} value={r.id}>{r.label}</option>)}
+      </select>
+    </span>
+  );
+}
@@ -0,0 +1,479 @@
+import { normalizeKey, DEFAULT_KEY } from "./degrees.js";
+import { computeChordSymbols, tryParseChordSymbol } from "./chords.js";
+import { keySignature, spellLine } from "./keySignature.js";
+import { LETTER_TO_SEMITONE, spellMidi } from "./pitch.js";
+import {
+  NOTE_VALUES, TIME_SIGNATURES, timeSignature, barBeats, splitBeats, rhythmBeats,
+  lineTuplets, lineMeter, measureEvents, measureStart, tupletGroups
+} from "./timing.js";
+import { measuresToLines } from "./musicXmlImporter.js";
+
+// ABC notation (abcnotation.com), as jazz lines are often shared in forums
+// and emails: reading tunes into measures (shaped like readMusicXmlMeasures')
+// and writing lines back out as ABC text.
+
+// ABC mode names (matched on their first three letters) and how our modes
+// are written after the tonic in a K: field
+const ABC_MODES = { maj: 'major', ion: 'major', min: 'minor', aeo: 'minor', m: 'minor', dor: 'dorian', phr: 'phrygian', lyd: 'lydian', mix: 'mixolydian', loc: 'locrian' };
+const MODE_SUFFIXES = { major: '', minor: 'm', dorian: 'dor', phrygian: 'phr', lydian: 'lyd', mixolydian: 'mix', locrian: 'loc' };
+
+// Notes per tuplet when "(p" doesn't say: (2 is two in the time of three,
+// (3 three in the time of two, and so on. (5, (7 and (9 take the time of
+// three in compound meters and of two otherwise.
+const TUPLET_NORMALS = { 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 };
+
+const DECORATIONS = ".~HLMOPSTuvJR";
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
+
+// A K: field ("Bb", "Gm", "D dor", "F#min exp...") as { tonic, mode }; "none"
+// or a blank field gives `fallback`
+function readAbcKey(text, fallback = DEFAULT_KEY) {
+  const m = String(text).trim().match(/^([A-G])([#b]?)\s*([A-Za-z]*)/);
+  if (!m) return { ...normalizeKey(fallback) };
+  const word = m[3].toLowerCase();
+  const mode = ABC_MODES[word.slice(0, 3)] || ABC_MODES[word] || 'major';
+  return { tonic: `${m[1]}${m[2]}`, mode };
+}
+
+// An M: field as one of our time signatures (common time reads as 4/4;
+// meters we can't show fall back to 4/4)
+function readAbcMeter(text) {
+  const t = String(text).trim();
+  const id = t === 'C' ? '4/4' : t.replace(/\s+/g, '');
+  return timeSignature(TIME_SIGNATURES.some((s) => s.id === id) ? id : '4/4');
+}
+
+// Length of the L: unit note in beats (quarters)
+function readAbcUnit(text) {
+  const m = String(text).trim().match(/^(\d+)\/(\d+)$/);
+  return m ? (4 * Number(m[1])) / Number(m[2]) : 0.5;
+}
+
+// The plain or dotted value lasting exactly `beats`, or null
+function exactValue(beats) {
+  for (const value of Object.keys(NOTE_VALUES)) {
+    for (const dots of [0, 1, 2]) {
+      if (Math.abs(rhythmBeats({ value, dots }) - beats) < 1e-6) return { value, dots };
+    }
+  }
+  return null;
+}
+
+// The tunes in an ABC file: [{ title, text }]. Tunes start at an X: field;
+// text without one is a single tune.
+export function abcTunes(text) {
+  const tunes = [];
+  let current = null;
+  String(text || '').split(/\r?\n/).forEach((row) => {
+    if (/^X:/.test(row) || !current) {
+      current = { title: '', rows: [] };
+      tunes.push(current);
+    }
+    const title = row.match(/^T:\s*(.*)$/);
+    if (title && !current.title) current.title = title[1].trim();
+    current.rows.push(row);
+  });
+  return tunes
+    .map((t) => ({ title: t.title, text: t.rows.join('\n') }))
+    .filter((t) => t.text.split('\n').some((row) => row.trim() && !/^[A-Za-z+]:/.test(row) && !/^\s*%/.test(row)));
+}
+
+// Read one ABC tune into measures: [{ number, pickup, notes, rests, changes,
+// key, timeSignature, length }], as readMusicXmlMeasures returns them, one
+// per bar between barlines. Note lengths, broken rhythm (> <), tuplets
+// ("(3" or "(p:q:r"), ties, rests (z, x, whole-bar Z), quoted chord symbols
+// and key, meter and unit-length fields (in the header, on a line of their
+// own or inline) are read; accidentals last to the barline as in ABC. Of a
+// chord [CEG] only the top note is kept; grace notes, decorations, slurs and
+// lyrics are skipped. `defaultKey` is used when the tune has no K: field.
+export function readAbcMeasures(text, defaultKey = DEFAULT_KEY) {
+  let key = normalizeKey(defaultKey);
+  let meter = TIME_SIGNATURES[0];
+  let unit = null;
+  let signature = keySignature(key);
+
+  const measures = [];
+  let items = [];
+  let barAcc = {};
+  let chords = [];
+  let tuplet = null;
+  let tupletGroup = 0;
+  let broken = 1;
+  let barKey = key;
+  let barMeter = meter;
+
+  const setField = (field, value) => {
+    if (field === 'K') {
+      key = readAbcKey(value, key);
+      signature = keySignature(key);
+    } else if (field === 'M') {
+      meter = readAbcMeter(value);
+    } else if (field === 'L') {
+      unit = readAbcUnit(value);
+    }
+    if (items.length === 0) {
+      barKey = key;
+      barMeter = meter;
+    }
+  };
+  // without an L: field the unit is an eighth, or a sixteenth in short meters
+  const unitBeats = () => unit ?? (meter.beats / meter.beatValue < 0.75 ? 0.25 : 0.5);
+
+  const endBar = () => {
+    if (items.length > 0) measures.push({ items, key: barKey, meter: barMeter });
+    items = [];
+    barAcc = {};
+    barKey = key;
+    barMeter = meter;
+  };
+
+  const addItem = (item) => {
+    const beats = item.beats * broken;
+    broken = 1;
+    const entry = { ...item, beats, chords, tuplet: null };
+    chords = [];
+    if (tuplet) {
+      entry.tuplet = { actual: tuplet.actual, normal: tuplet.normal, group: tuplet.group };
+      tuplet.left -= 1;
+      if (tuplet.left <= 0) tuplet = null;
+    }
+    items.push(entry);
+  };
+
+  // length multiplier after a note or rest: "2", "/", "3/2", "//"...
+  const readLength = (s, pos) => {
+    const m = s.slice(pos).match(/^(\d*)(\/*)(\d*)/);
+    const num = m[1] ? Number(m[1]) : 1;
+    const den = m[2] ? (m[3] ? Number(m[3]) : 2 ** m[2].length) : 1;
+    return { factor: num / den, pos: pos + m[0].length };
+  };
+
+  // a note at `pos` (accidentals, letter, octave marks, length), or null
+  const readNote = (s, pos) => {
+    const m = s.slice(pos).match(/^(\^\^|\^|__|_|=)?([A-Ga-g])([,']*)/);
+    if (!m) return null;
+    const [, acc, letterRaw, marks] = m;
+    const letter = letterRaw.toUpperCase();
+    let octave = letterRaw === letter ? 4 : 5;
+    for (const c of marks) octave += c === "'" ? 1 : -1;
+
+    const pk = `${letter}${octave}`;
+    let alter;
+    if (acc) {
+      alter = { '^^': 2, '^': 1, '=': 0, '_': -1, '__': -2 }[acc];
+      barAcc[pk] = alter;
+    } else {
+      alter = pk in barAcc ? barAcc[pk] : signature.accidentals[letter] === '#' ? 1 : signature.accidentals[letter] === 'b' ? -1 : 0;
+    }
+    const midi = (octave + 1) * 12 + LETTER_TO_SEMITONE[letter] + alter;
+    // double sharps and flats are respelled
+    const note = Math.abs(alter) <= 1
+      ? { letter, accidental: alter === 1 ? '#' : alter === -1 ? 'b' : '', octave, midi }
+      : spellMidi(midi, alter < 0);
+    const length = readLength(s, pos + m[0].length);
+    return { note, factor: length.factor, pos: length.pos };
+  };
+
+  const readMusic = (s) => {
+    let pos = 0;
+    while (pos < s.length) {
+      const c = s[pos];
+      const rest = s.slice(pos);
+
+      // barlines; repeats and endings ([1, :|2) are read straight through
+      const bar = rest.match(/^(\[\||[|:]+\]?)(\d+(?:[-,]\d+)*)?/) || rest.match(/^\[\d+(?:[-,]\d+)*/);
+      if (bar) {
+        if (/\|/.test(bar[0]) || /^::/.test(bar[0])) endBar();
+        pos += bar[0].length;
+        continue;
+      }
+
+      // inline fields [K:Bb]
+      const field = rest.match(/^\[([A-Za-z]):([^\]]*)\]/);
+      if (field) {
+        setField(field[1], field[2]);
+        pos += field[0].length;
+        continue;
+      }
+
+      if (c === '"') {
+        const close = s.indexOf('"', pos + 1);
+        const content = s.slice(pos + 1, close < 0 ? s.length : close);
+        if (!/^[\^_<>@]/.test(content) && tryParseChordSymbol(content)) chords.push(content);
+        pos = close < 0 ? s.length : close + 1;
+        continue;
+      }
+      if (c === '{') {
+        const close = s.indexOf('}', pos);
+        pos = close < 0 ? s.length : close + 1;
+        continue;
+      }
+      if (c === '!' || c === '+') {
+        const close = s.indexOf(c, pos + 1);
+        pos = close < 0 ? s.length : close + 1;
+        continue;
+      }
+
+      // tuplets "(3" and "(p:q:r"; any other "(" opens a slur
+      const tupletMark = rest.match(/^\((\d+)(?::(\d*))?(?::(\d*))?/);
+      if (tupletMark) {
+        const actual = Number(tupletMark[1]);
+        const normal = tupletMark[2] ? Number(tupletMark[2]) : TUPLET_NORMALS[actual] ?? (meter.beats % 3 === 0 && meter.beatValue === 8 && meter.beats > 3 ? 3 : 2);
+        const count = tupletMark[3] ? Number(tupletMark[3]) : actual;
+        tuplet = { actual, normal, left: count, group: `abc-${++tupletGroup}` };
+        pos += tupletMark[0].length;
+        continue;
+      }
+
+      if (c === '>' || c === '<') {
+        const run = rest.match(/^(>+|<+)/)[0];
+        const last = items[items.length - 1];
+        const shift = 1 - 1 / 2 ** run.length;
+        if (last) last.beats *= run[0] === '>' ? 1 + shift : 1 - shift;
+        broken = run[0] === '>' ? 1 - shift : 1 + shift;
+        pos += run.length;
+        continue;
+      }
+
+      if (c === '-') {
+        const last = items[items.length - 1];
+        if (last && last.type === 'note') last.tie = true;
+        pos += 1;
+        continue;
+      }
+
+      // rests: z and x last a note length, Z and X whole bars
+      if (/[zx]/.test(c)) {
+        const length = readLength(s, pos + 1);
+        addItem({ type: 'rest', beats: unitBeats() * length.factor });
+        pos = length.pos;
+        continue;
+      }
+      if (/[ZX]/.test(c)) {
+        const count = s.slice(pos + 1).match(/^\d*/)[0];
+        for (let b = 0; b < (count ? Number(count) : 1); b++) {
+          addItem({ type: 'rest', beats: barBeats(meter) });
+          if (b < Number(count) - 1) endBar();
+        }
+        pos += 1 + count.length;
+        continue;
+      }
+
+      // a chord [CEG]2 keeps its top note
+      if (c === '[') {
+        const close = s.indexOf(']', pos);
+        const inner = s.slice(pos + 1, close < 0 ? s.length : close);
+        let top = null;
+        let p = 0;
+        while (p < inner.length) {
+          const read = readNote(inner, p);
+          if (!read) {
+            p += 1;
+            continue;
+          }
+          if (!top || read.note.midi > top.note.midi) top = read;
+          p = read.pos;
+        }
+        pos = close < 0 ? s.length : close + 1;
+        const length = readLength(s, pos);
+        if (top) addItem({ type: 'note', note: top.note, beats: unitBeats() * top.factor * length.factor, tie: false });
+        pos = length.pos;
+        continue;
+      }
+
+      const read = readNote(s, pos);
+      if (read) {
+        addItem({ type: 'note', note: read.note, beats: unitBeats() * read.factor, tie: false });
+        pos = read.pos;
+        continue;
+      }
+
+      if (!/[\s`()\\y]/.test(c) && !DECORATIONS.includes(c)) throw new Error(`Unexpected "${c}" in ABC music`);
+      pos += 1;
+    }
+  };
+
+  String(text || '').split(/\r?\n/).forEach((row) => {
+    const line = row.replace(/%.*$/, '');
+    const field = line.match(/^([A-Za-z+]):(.*)$/);
+    if (field) {
+      setField(field[1], field[2]);
+      return;
+    }
+    readMusic(line);
+  });
+  endBar();
+
+  // lengths into written values: a length no single value holds becomes
+  // tied notes (or several rests)
+  return measures.map((bar, m) => {
+    const measure = {
+      number: String(m + 1),
+      pickup: false,
+      notes: [],
+      rests: [],
+      changes: [],
+      key: bar.key,
+      timeSignature: bar.meter.id,
+      length: 0
+    };
+    bar.items.forEach((item) => {
+      item.chords.forEach((symbol) => measure.changes.push({ beat: Math.round(measure.length * 1e6) / 1e6, symbol }));
+      let pieces;
+      if (item.tuplet) {
+        const value = exactValue(item.beats);
+        if (!value) throw new Error(`Unsupported note length in a tuplet (bar ${m + 1})`);
+        pieces = [{ ...value, tuplet: item.tuplet }];
+      } else {
+        const value = exactValue(item.beats);
+        pieces = (value ? [value] : splitBeats(item.beats)).map((p) => ({ ...p, tuplet: null }));
+      }
+      pieces.forEach((rhythm, k) => {
+        measure.length += rhythmBeats(rhythm);
+        if (item.type === 'rest') {
+          measure.rests.push(rhythm);
+          return;
+        }
+        measure.notes.push({
+          ...item.note,
+          rhythm: { ...rhythm, tie: k < pieces.length - 1 || !!item.tie, restBefore: measure.rests, restAfter: [] }
+        });
+        measure.rests = [];
+      });
+    });
+    return measure;
+  }).map((measure, m, all) => (
+    // a short first bar before more music is a pickup
+    m === 0 && all.length > 1 && measure.length < barBeats(timeSignature(measure.timeSignature)) - 1e-6
+      ? { ...measure, pickup: true }
+      : measure
+  ));
+}
+
+// Typed or pasted ABC as a single line (all its bars); the line is in
+// `defaultKey` unless the text has a K: field
+export function abcToLine(text, defaultKey = DEFAULT_KEY) {
+  const measures = readAbcMeasures(text, defaultKey);
+  if (measures.length === 0) throw new Error("No notes found in the ABC text");
+  return measuresToLines(measures, [{ from: 0, to: measures.length - 1 }])[0];
+}
+
+// Whether text looks like ABC rather than a note list ("A5, G5, E5").
+// Fields, barlines, quoted chords and tuplets always mean ABC; otherwise
+// text made only of note names with octaves, split by commas or spaces
+// ("A5, G5" or "A5 G5"), is a note list. Any other comma is ABC's
+// octave-down mark ("G,A,B,C").
+export function isAbcText(text) {
+  const t = String(text || '').trim();
+  if (/^[A-Za-z]:/m.test(t) || /[|"]|\(\d/.test(t)) return true;
+  const tokens = t.split(/[\s,]+/).filter((n) => n.length > 0);
+  return !tokens.every((n) => /^[A-Ga-g][#bB]?\d$/.test(n));
+}
+
+function abcKey(key) {
+  return `${key.tonic}${MODE_SUFFIXES[key.mode] ?? ''}`;
+}
+
+// A length in L:1/8 units as ABC writes it: "", "2", "/", "3/2"...
+function abcLength(beats) {
+  // in 32nds of the unit
+  const parts = Math.round(beats * 64);
+  const divisor = gcd(parts, 32);
+  const num = parts / divisor;
+  const den = 32 / divisor;
+  return `${num === 1 ? '' : num}${den === 1 ? '' : den === 2 ? '/' : `/${den}`}`;
+}
+
+function abcPitch(note, accidental) {
+  const mark = accidental === null ? '' : { '#': '^', b: '_', '': '=' }[accidental];
+  if (note.octave >= 5) return `${mark}${note.letter.toLowerCase()}${"'".repeat(note.octave - 5)}`;
+  return `${mark}${note.letter}${','.repeat(4 - note.octave)}`;
+}
+
+// The music of one line: bars of notes and rests with their chord symbols,
+// tuplets and ties, spelled for the line's key signature
+function lineToAbc(line) {
+  const notes = line.notes;
+  const tuplets = lineTuplets(line);
+  const meter = lineMeter(line);
+  const pickup = line.pickup ?? 0;
+  const key = normalizeKey(line.key);
+  const signature = keySignature(key);
+  const spelled = spellLine(notes, signature);
+  const events = measureEvents(notes, tuplets, meter, pickup);
+
+  const chords = computeChordSymbols(notes, line.tags || [], key.tonic, line.changes, tuplets);
+  let nextChord = 0;
+
+  const tupletStarts = {};
+  tupletGroups(events).forEach(({ tuplet, indices }) => {
+    const plain = TUPLET_NORMALS[tuplet.actual] === tuplet.normal && indices.length === tuplet.actual;
+    tupletStarts[indices[0]] = plain ? `(${tuplet.actual}` : `(${tuplet.actual}:${tuplet.normal}:${indices.length}`;
+  });
+
+  const bars = [];
+  let barAcc = {};
+  events.forEach((event, k) => {
+    if (!bars[event.measure]) {
+      bars[event.measure] = [];
+      barAcc = {};
+    }
+    let text = '';
+    // a space between beam groups
+    const fromBar = event.beat - measureStart(event.measure, meter, pickup);
+    if (bars[event.measure].length > 0 && Math.abs(fromBar / meter.beamBeats - Math.round(fromBar / meter.beamBeats)) < 1e-6) text += ' ';
+
+    while (nextChord < chords.length && chords[nextChord].beat < event.beat + event.beats - 1e-6) {
+      text += `"${chords[nextChord].text}"`;
+      nextChord += 1;
+    }
+    if (tupletStarts[k]) text += tupletStarts[k];
+
+    const written = event.rhythm.tuplet ? rhythmBeats({ value: event.rhythm.value, dots: event.rhythm.dots }) : event.beats;
+    if (event.type === 'rest') {
+      text += `z${abcLength(written)}`;
+    } else {
+      const note = spelled[event.noteIdx];
+      const pk = `${note.letter}${note.octave}`;
+      const current = pk in barAcc ? barAcc[pk] : signature.accidentals[note.letter] || '';
+      barAcc[pk] = note.accidental;
+      text += `${abcPitch(note, note.accidental !== current ? note.accidental : null)}${abcLength(written)}`;
+      if (event.rhythm.tie) text += '-';
+    }
+    bars[event.measure].push(text);
+  });
+  return bars.map((bar) => bar.join('')).join(' | ');
+}
+
+// Lines as ABC text, one line of music per line (key and meter changes go
+// on a field line before the line they change on). With `separateTunes`
+// every line is a tune of its own, for collections of unrelated lines.
+export function linesToAbc(lines, { title = "Jazz Lines", separateTunes = false } = {}) {
+  const withNotes = (lines || []).filter((line) => line?.notes?.length > 0);
+  const tunes = separateTunes ? withNotes.map((line, i) => ({ title: `${title} ${i + 1}`, lines: [line] })) : [{ title, lines: withNotes }];
+
+  return tunes.map((tune, t) => {
+    const rows = [];
+    let previousKey = null;
+    let previousMeter = null;
+    tune.lines.forEach((line, i) => {
+      const key = abcKey(normalizeKey(line.key));
+      const meter = lineMeter(line).id;
+      if (i === 0) {
+        rows.push(`X:${t + 1}`, `T:${tune.title}`, `M:${meter}`, 'L:1/8', `K:${key}`);
+      } else {
+        if (meter !== previousMeter) rows.push(`M:${meter}`);
+        if (key !== previousKey) rows.push(`K:${key}`);
+      }
+      previousKey = key;
+      previousMeter = meter;
+      rows.push(`${lineToAbc(line)} ${i === tune.lines.length - 1 ? '|]' : '|'}`);
+    });
+    return rows.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+export default { abcTunes, readAbcMeasures, abcToLine, isAbcText, linesToAbc };
@@ -0,0 +1,148 @@
+import { chordPitchClasses, tryParseChordSymbol } from "./chords.js";
+import { pitchNameToSemitone } from "./pitch.js";
+import { TIME_SIGNATURES, barBeats } from "./timing.js";
+
+// Backing parts generated from a chord timeline: [{ beat, beats, symbol }],
+// beats in quarter notes from the start of the music. Parts come back as
+// [{ beat, beats, midi }] (bass) and [{ beat, beats, midis }] (comping).
+
+export const BASS_STYLES = ['roots', 'walking'];
+
+// Registers: comping voicings start in the F3-E4 window, the bass moves
+// between E1 and G3 like an upright would.
+const VOICING_LOW = 53;
+const BASS_LOW = 28;
+const BASS_HIGH = 55;
+const BASS_HOME = 36;
+
+function mod12(n) {
+  return ((n % 12) + 12) % 12;
+}
+
+// Lowest MIDI note of pitch class `pc` at or above `floor`
+function placeAbove(pc, floor) {
+  return floor + mod12(pc - floor);
+}
+
+// Note of pitch class `pc` closest to `near`, kept inside the bass range
+function placeNear(pc, near) {
+  let midi = near + mod12(pc - near);
+  if (midi - near > 6) midi -= 12;
+  while (midi < BASS_LOW) midi += 12;
+  while (midi > BASS_HIGH) midi -= 12;
+  return midi;
+}
+
+// Rootless voicing: 3rd and 7th (or 6th) with up to two tensions from the
+// symbol on top, so a b13 or #9 is heard; plain triads keep all three notes.
+export function chordVoicing(chordOrText, low = VOICING_LOW) {
+  const chord = typeof chordOrText === 'string' ? tryParseChordSymbol(chordOrText) : chordOrText;
+  if (!chord) return [];
+  const { rootPc, intervals } = chord;
+  const chordTones = new Set(intervals.map((i) => (rootPc + i) % 12));
+  const tensions = chordPitchClasses(chord).filter((pc) => !chordTones.has(pc)).slice(0, 2);
+  const guide = intervals.length < 4
+    ? [intervals[1], intervals[2], 0]
+    : [intervals[1], intervals[3]];
+  const upper = tensions.length > 0 || intervals.length < 4 ? tensions : [(rootPc + intervals[2]) % 12];
+  const pcs = [...guide.map((i) => (rootPc + i) % 12), ...upper];
+
+  const voicing = [];
+  pcs.forEach((pc, i) => {
+    // guide tones sit in the window, tensions stack above them
+    const floor = i < guide.length ? low : Math.max(...voicing) + 1;
+    voicing.push(placeAbove(pc, floor));
+  });
+  return [...new Set(voicing)].sort((a, b) => a - b);
+}
+
+function bassPitchClass(chord) {
+  return chord.bass ? pitchNameToSemitone(chord.bass) : chord.rootPc;
+}
+
+// Readable chords only, with their parsed symbol
+function parsedTimeline(timeline) {
+  return (timeline || [])
+    .map((c) => ({ ...c, chord: tryParseChordSymbol(c.symbol) }))
+    .filter((c) => c.chord && c.beats > 0);
+}
+
+// Where the second hit of a bar-long chord goes, in beats from the change:
+// the "and" of 2 in 3/4 and 4/4, of 3 in 5/4 (grouped 3+2), the second
+// half of the bar in 6/8 and 12/8; 2/4 bars only get the one hit
+function pushBeat(meter) {
+  if (meter.beatValue === 8) return barBeats(meter) / 2;
+  if (meter.beats === 5) return 2.5;
+  return meter.beats >= 3 ? 1.5 : null;
+}
+
+// Comping hits: on each change, plus a Charleston-style push (see
+// pushBeat) when the chord lasts a bar of `meter` or more.
+export function compingPart(timeline, meter = TIME_SIGNATURES[0]) {
+  const hits = [];
+  const push = pushBeat(meter);
+  parsedTimeline(timeline).forEach(({ beat, beats, chord }) => {
+    const midis = chordVoicing(chord);
+    if (midis.length === 0) return;
+    if (push !== null && beats >= barBeats(meter) - 1e-6) {
+      hits.push({ beat, beats: Math.min(1, push), midis });
+      hits.push({ beat: beat + push, beats: Math.min(1, beats - push), midis });
+    } else {
+      hits.push({ beat, beats: Math.min(beats, 1.5), midis });
+    }
+  });
+  return hits;
+}
+
+// Bass line under the changes. 'roots' plays root and fifth in half notes
+// (a two-feel); 'walking' plays quarters: root on the change, chord tones in
+// between and a chromatic approach into the next chord.
+export function bassPart(timeline, style = 'walking') {
+  const chords = parsedTimeline(timeline);
+  const notes = [];
+  let last = BASS_HOME;
+
+  chords.forEach(({ beat, beats, chord }, idx) => {
+    const rootPc = bassPitchClass(chord);
+    const fifthPc = (chord.rootPc + (chord.intervals[2] ?? 7)) % 12;
+    const thirdPc = (chord.rootPc + chord.intervals[1]) % 12;
+
+    if (style === 'roots') {
+      const root = placeNear(rootPc, last);
+      if (beats >= 4) {
+        notes.push({ beat, beats: 2, midi: root });
+        notes.push({ beat: beat + 2, beats: beats - 2, midi: placeNear(fifthPc, root) });
+      } else {
+        notes.push({ beat, beats, midi: root });
+      }
+      last = root;
+      return;
+    }
+
+    const next = chords[idx + 1];
+    const count = Math.max(1, Math.floor(beats));
+    const root = placeNear(rootPc, last);
+    const walk = [root];
+    // chord tones on the inner beats, rising from the root
+    const inner = [thirdPc, fifthPc, thirdPc];
+    for (let i = 1; i < count; i++) {
+      const isLast = i === count - 1;
+      if (isLast && next) {
+        // half step below (or above) the next chord's bass note, whichever is closer
+        const target = placeNear(bassPitchClass(next.chord), walk[walk.length - 1]);
+        const from = walk[walk.length - 1];
+        walk.push(from <= target ? target - 1 : target + 1);
+      } else {
+        walk.push(placeNear(inner[(i - 1) % inner.length], walk[walk.length - 1] + 2));
+      }
+    }
+    walk.forEach((midi, i) => {
+      notes.push({ beat: beat + i, beats: i === count - 1 ? beats - i : 1, midi });
+    });
+    last = walk[walk.length - 1];
+  });
+
+  return notes;
+}
+
+export default { BASS_STYLES, chordVoicing, compingPart, bassPart };
@@ -1,3 +1,6 @@
+import { LETTER_TO_SEMITONE, transposePitchName, pitchNameToSemitone } from "./pitch.js";
+import { noteIndexAtBeat, lineLengthInBeats } from "./timing.js";
+
 const SEMITONE_TO_SHARP = [
   'C','C#','D','D#','E','F','F#','G','G#','A','A#','B'
 ];
@@ -12,71 +15,397 @@ export function nameFromNoteObj(note) {
   return `${note.letter}${acc}`;
 }
 
-export function computeChordSymbols(notes = [], tags = []) {
-  const tagStr = (tags || []).map((t) => String(t).toLowerCase()).join(" ");
-  const symbols = [];
+// ---------------------------------------------------------------------------
+// Chord symbol parser
+// ---------------------------------------------------------------------------
+
+// Chord qualities: family (for labelling and function analysis) and the
+// chord tones as semitones above the root
+export const QUALITIES = {
+  '': { family: 'major', intervals: [0, 4, 7] },
+  'm': { family: 'minor', intervals: [0, 3, 7] },
+  'dim': { family: 'diminished', intervals: [0, 3, 6] },
+  'aug': { family: 'augmented', intervals: [0, 4, 8] },
+  'sus2': { family: 'major', intervals: [0, 2, 7] },
+  'sus4': { family: 'major', intervals: [0, 5, 7] },
+  '6': { family: 'major', intervals: [0, 4, 7, 9] },
+  'm6': { family: 'minor', intervals: [0, 3, 7, 9] },
+  'maj7': { family: 'major', intervals: [0, 4, 7, 11] },
+  '7': { family: 'dominant', intervals: [0, 4, 7, 10] },
+  '7sus4': { family: 'dominant', intervals: [0, 5, 7, 10] },
+  'm7': { family: 'minor', intervals: [0, 3, 7, 10] },
+  'mMaj7': { family: 'minor', intervals: [0, 3, 7, 11] },
+  'm7b5': { family: 'half-diminished', intervals: [0, 3, 6, 10] },
+  'dim7': { family: 'diminished', intervals: [0, 3, 6, 9] }
+};
+
+// Natural semitone offset of each extension degree above the root
+const EXTENSION_SEMITONES = { 5: 7, 6: 9, 9: 2, 11: 5, 13: 9 };
+
+// Extensions implied by a 9/11/13 chord number
+function impliedExtensions(num) {
+  if (num === '9') return [{ degree: 9, alteration: 0 }];
+  if (num === '11') return [{ degree: 9, alteration: 0 }, { degree: 11, alteration: 0 }];
+  if (num === '13') return [{ degree: 9, alteration: 0 }, { degree: 13, alteration: 0 }];
+  return [];
+}
+
+// Quality patterns, tried in order against the text after the root. Each
+// returns the quality plus any extensions implied by the chord number.
+// Minor is spelled m, mi, min or -, and half-diminished also m7(b5) or m7-5.
+const QUALITY_PATTERNS = [
+  [/^(?:min|mi|m|-)\(?(?:maj|Maj|ma|M|Δ|\^)(7|9|11|13)?\)?/, (m) => ['mMaj7', impliedExtensions(m[1])]],
+  [/^(?:(?:min|mi|m|-)7\(?[b-]5\)?|ø7?|Ø7?)/, () => ['m7b5', []]],
+  [/^(?:dim7|°7|o7)/, () => ['dim7', []]],
+  [/^(?:dim|°|o)(?![a-z])/, () => ['dim', []]],
+  [/^(?:maj|Maj|ma|M|Δ|\^)(7|9|11|13)/, (m) => ['maj7', impliedExtensions(m[1])]],
+  [/^(?:Δ|\^)/, () => ['maj7', []]],
+  [/^(?:maj|M)(?![a-z])/, () => ['', []]],
+  [/^(?:min|mi|m|-)(7|9|11|13)/, (m) => ['m7', impliedExtensions(m[1])]],
+  [/^(?:min|mi|m|-)6(?:\/9|9)?/, (m) => ['m6', /9$/.test(m[0]) ? impliedExtensions('9') : []]],
+  [/^(?:min|mi|m|-)(?![a-z])/, () => ['m', []]],
+  [/^(?:aug|\+)(7|9|11|13)/, (m) => ['7', [{ degree: 5, alteration: 1 }, ...impliedExtensions(m[1])]]],
+  [/^(?:aug|\+)/, () => ['aug', []]],
+  [/^(7|9|11|13)sus4?/, (m) => ['7sus4', impliedExtensions(m[1]).filter((e) => e.degree !== 11)]],
+  [/^(7|9|11|13)/, (m) => ['7', impliedExtensions(m[1])]],
+  [/^6(?:\/9|9)?/, (m) => ['6', /9$/.test(m[0]) ? impliedExtensions('9') : []]],
+  [/^sus2/, () => ['sus2', []]],
+  [/^sus4?/, () => ['sus4', []]],
+  [/^(?=alt)/, () => ['7', []]]
+];
+
+// What "alt" stands for on a dominant chord
+const ALT_EXTENSIONS = [
+  { degree: 9, alteration: -1 },
+  { degree: 9, alteration: 1 },
+  { degree: 11, alteration: 1 },
+  { degree: 5, alteration: 1 }
+];
+
+function addExtension(list, ext) {
+  const idx = list.findIndex((e) => e.degree === ext.degree && (e.alteration === 0 || ext.alteration === 0));
+  // An altered tension replaces the natural one implied by the chord number
+  if (idx >= 0 && list[idx].alteration === 0 && ext.alteration !== 0) {
+    list.splice(idx, 1, ext);
+    return;
+  }
+  if (!list.some((e) => e.degree === ext.degree && e.alteration === ext.alteration)) list.push(ext);
+}
+
+// Parse a chord symbol such as "Dm7b5", "G7(#9b13)", "Ebmaj7#11" or "C/E"
+// into { text, root, rootPc, quality, family, extensions, alt, bass, suffix }.
+// `extensions` are { degree, alteration } with alteration -1/0/+1; after the
+// quality, - and + are read as flat and sharp ("C7-9", "C7+5"). Throws on
+// text that isn't a chord symbol.
+export function parseChordSymbol(text) {
+  const raw = String(text || '').trim().replace(/♭/g, 'b').replace(/♯/g, '#');
+  const m = raw.match(/^([A-G])([b#]?)(.*?)(?:\/([A-G][b#]?))?$/);
+  if (!m) throw new Error(`Invalid chord symbol: ${text}`);
 
-  if (!notes || notes.length === 0) return symbols;
+  const root = `${m[1]}${m[2]}`;
+  const suffix = m[3];
+  const bass = m[4] || null;
+
+  let quality = '';
+  let extensions = [];
+  let rest = suffix;
+  for (const [re, build] of QUALITY_PATTERNS) {
+    const qm = rest.match(re);
+    if (qm) {
+      [quality, extensions] = build(qm);
+      extensions = [...extensions];
+      rest = rest.slice(qm[0].length);
+      break;
+    }
+  }
+
+  let alt = false;
+  const tokenRe = /\s*[(),]?\s*(?:(alt)|(?:add)?([b#+-]?)(5|6|9|11|13))\s*\)?/y;
+  while (rest.length > 0) {
+    tokenRe.lastIndex = 0;
+    const tm = tokenRe.exec(rest);
+    if (!tm || tm[0].length === 0) {
+      if (/^[\s()]+$/.test(rest)) break;
+      throw new Error(`Invalid chord symbol: ${text}`);
+    }
+    if (tm[1]) {
+      alt = true;
+      if (quality !== '7') quality = '7';
+      ALT_EXTENSIONS.forEach((e) => addExtension(extensions, e));
+    } else {
+      const alteration = tm[2] === '#' || tm[2] === '+' ? 1 : tm[2] === 'b' || tm[2] === '-' ? -1 : 0;
+      addExtension(extensions, { degree: Number(tm[3]), alteration });
+    }
+    rest = rest.slice(tm[0].length);
+  }
+
+  const { family, intervals } = QUALITIES[quality];
+  return {
+    text: raw,
+    root,
+    rootPc: pitchNameToSemitone(root),
+    quality,
+    family,
+    intervals,
+    extensions,
+    alt,
+    bass,
+    suffix
+  };
+}
+
+// Parse without throwing: null for unreadable text
+export function tryParseChordSymbol(text) {
+  try {
+    return parseChordSymbol(text);
+  } catch {
+    return null;
+  }
+}
+
+export function formatChordSymbol(chord) {
+  if (!chord) return '';
+  return `${chord.root}${chord.suffix}${chord.bass ? `/${chord.bass}` : ''}`;
+}
+
+// Pitch classes (C = 0) of a chord's tones and tensions
+export function chordPitchClasses(chord) {
+  const pcs = new Set(chord.intervals.map((i) => (chord.rootPc + i) % 12));
+  chord.extensions.forEach((e) => {
+    pcs.add(((chord.rootPc + EXTENSION_SEMITONES[e.degree] + e.alteration) % 12 + 12) % 12);
+  });
+  // an altered fifth replaces the natural one
+  if (chord.extensions.some((e) => e.degree === 5 && e.alteration !== 0)) {
+    pcs.delete((chord.rootPc + 7) % 12);
+  }
+  return [...pcs];
+}
+
+// Move a symbol's root (and bass) from one tonic to another, keeping the
+// rest of the text as written
+export function transposeChordSymbol(text, fromTonic, toTonic) {
+  const chord = parseChordSymbol(text);
+  return formatChordSymbol({
+    ...chord,
+    root: transposePitchName(chord.root, fromTonic, toTonic),
+    bass: chord.bass ? transposePitchName(chord.bass, fromTonic, toTonic) : null
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Chord changes on a line: [{ beat, symbol }], beats counted in quarter
+// notes from the start of the line
+// ---------------------------------------------------------------------------
+
+// Changes implied by a line's function tags. They are written for a line in
+// C and moved to the line's tonic by lineChanges().
+export function defaultChangesForTags(tags = []) {
+  const tagStr = (tags || []).map((t) => String(t).toLowerCase()).join(" ");
 
   // Determine function from tags (simple heuristics)
   const isIiV = tagStr.includes('ii-v') || tagStr.includes('i i-v');
   const isMinor = tagStr.includes('minor') || tagStr.includes('min');
   const isV7 = tagStr.includes('v7') || tagStr.includes('dominant') || tagStr.includes('v 7');
   const isV7Sharp5 = tagStr.includes('#5') || tagStr.includes('sharp5') || tagStr.includes('altered');
+  const isPhrygian = tagStr.includes('phrygian') || tagStr.includes('b13') || tagStr.includes('b 13');
+  const isHalfWhole = tagStr.includes('h/w') || tagStr.includes('hw') || tagStr.includes('diminished');
   const isV13b9 = tagStr.includes('13') || tagStr.includes('b9') || tagStr.includes('13b9');
 
-  // User-specified mappings (hard-coded to D/G example per request)
-  // Static minor: show Cm7 for whole measure
-  if (tagStr.includes('static minor') || tagStr.includes('static-minor') || (tagStr.includes('static') && tagStr.includes('minor'))) {
-    // indicate whole-measure symbol but also attach to beat 1 (index 0)
-    symbols.push({ whole: true, index: 0, text: 'Cm7' });
-    return symbols;
+  // Static minor: Cm7 for the whole measure
+  if (tagStr.includes('static') && tagStr.includes('minor')) {
+    return [{ beat: 0, symbol: 'Cm7' }];
   }
   if (isIiV && !isMinor) {
     // Major ii-v -> Dm7 on beat 1, G7 on beat 3
-    symbols.push({ index: 0, text: 'Dm7' });
-    symbols.push({ index: 4, text: 'G7' });
-    return symbols;
+    return [{ beat: 0, symbol: 'Dm7' }, { beat: 2, symbol: 'G7' }];
   }
-
   if (isIiV && isMinor) {
-    // Minor ii-v -> Dm7b5, G7#5
-    symbols.push({ index: 0, text: 'Dm7b5' });
-    // Minor ii-v should resolve to Dm7b5 → G7
-    symbols.push({ index: 4, text: 'G7' });
-    return symbols;
-  }
-
-  if (isV7 && !isV7Sharp5 && !isV13b9) {
-    symbols.push({ index: 0, text: 'G7' });
-    return symbols;
+    // Minor ii-v -> Dm7b5 on beat 1, G7 on beat 3
+    return [{ beat: 0, symbol: 'Dm7b5' }, { beat: 2, symbol: 'G7' }];
   }
-
   if (isV7Sharp5) {
-    // prefer generic altered symbol
-    symbols.push({ index: 0, text: 'G7alt' });
-    return symbols;
+    return [{ beat: 0, symbol: 'G7alt' }];
+  }
+  if (isPhrygian) {
+    return [{ beat: 0, symbol: 'G7b13' }];
+  }
+  if (isHalfWhole || isV13b9) {
+    return [{ beat: 0, symbol: 'G13(b9)' }];
+  }
+  if (isV7) {
+    return [{ beat: 0, symbol: 'G7' }];
   }
+  // Tritone substitution (ii - bII7)
+  if (tagStr.includes('tritone')) {
+    return [{ beat: 0, symbol: 'Dm7' }, { beat: 2, symbol: 'Db7' }];
+  }
+  return [];
+}
+
+// The changes a line is played over: its own `changes` when it has them,
+// otherwise the ones implied by its tags, in the line's key
+export function lineChanges(line) {
+  if (!line) return [];
+  if (Array.isArray(line.changes) && line.changes.length > 0) return line.changes;
+  return changesInKey(defaultChangesForTags(line.tags), line.key?.tonic || 'C');
+}
+
+function changesInKey(changes, tonic) {
+  if (!tonic || tonic === 'C') return changes;
+  return changes.map((c) => ({ ...c, symbol: transposeChordSymbol(c.symbol, 'C', tonic) }));
+}
+
+// Read changes typed as "Dm7 G7" (spread evenly over the line) or with
+// explicit beats, "Dm7@0 G7@2". Bars and commas separate like spaces.
+export function parseChangesText(text, lengthInBeats = 4) {
+  const tokens = String(text || '')
+    .split(/[\s,|]+/)
+    .map((t) => t.trim())
+    .filter((t) => t.length > 0);
+
+  return tokens.map((token, i) => {
+    const [symbol, beatStr] = token.split('@');
+    parseChordSymbol(symbol); // validate
+    const beat = beatStr !== undefined ? Number(beatStr) : (i * lengthInBeats) / tokens.length;
+    if (!Number.isFinite(beat) || beat < 0) throw new Error(`Invalid beat in chord change: ${token}`);
+    return { beat, symbol };
+  }).sort((a, b) => a.beat - b.beat);
+}
+
+export function formatChangesText(changes = []) {
+  return (changes || []).map((c) => `${c.symbol}@${c.beat}`).join(' ');
+}
+
+// Chord symbols to draw over a line's notes: [{ index, beat, text }].
+// Uses the explicit `changes` when given, otherwise the tag defaults moved
+// to `tonic`.
+export function computeChordSymbols(notes = [], tags = [], tonic = 'C', changes = null, tuplets = []) {
+  if (!notes || notes.length === 0) return [];
+  const source = Array.isArray(changes) && changes.length > 0
+    ? changes
+    : changesInKey(defaultChangesForTags(tags), tonic);
 
-  if (tagStr.includes('b13') || tagStr.includes('b 13') || tagStr.includes('g7b13')) {
-    symbols.push({ index: 0, text: 'G7b13' });
-    return symbols;
+  const length = lineLengthInBeats(notes, tuplets);
+  return source
+    .filter((c) => c.beat < length)
+    .map((c) => ({ index: noteIndexAtBeat(notes, tuplets, c.beat), beat: c.beat, text: c.symbol }))
+    .filter((c) => c.index >= 0);
+}
+
+// ---------------------------------------------------------------------------
+// Chord-tone labels
+// ---------------------------------------------------------------------------
+
+// Label for each semitone above the chord root, per chord family. Chord
+// tones read 1/3/5/7, tensions 9/11/13 with their alterations (b9, #9, #11,
+// b13) and clashing tones say what they are (maj3 over a minor chord).
+const CHORD_TONE_LABELS = {
+  major: ['1', 'b9', '9', '#9', '3', '11', '#11', '5', '#5', '13', 'b7', '7'],
+  dominant: ['1', 'b9', '9', '#9', '3', '11', '#11', '5', 'b13', '13', '7', 'maj7'],
+  minor: ['1', 'b9', '9', '3', 'maj3', '11', '#11', '5', 'b13', '13', '7', 'maj7'],
+  'half-diminished': ['1', 'b9', '9', '3', 'maj3', '11', 'b5', '5', 'b13', '13', '7', 'maj7'],
+  diminished: ['1', 'b9', '9', '3', 'maj3', '11', 'b5', '5', 'b13', 'bb7', 'b7', 'maj7'],
+  augmented: ['1', 'b9', '9', '#9', '3', '11', '#11', '5', '#5', '13', '7', 'maj7']
+};
+
+// Function of a note against a chord (parsed or symbol text): "3", "b9",
+// "13", ... or null when the symbol can't be read. Tensions written in the
+// symbol win, so a note a minor sixth above G reads "#5" over G7#5 and
+// "b13" over G7b13.
+export function chordToneLabel(note, chordOrText) {
+  const chord = typeof chordOrText === 'string' ? tryParseChordSymbol(chordOrText) : chordOrText;
+  if (!chord || !note) return null;
+  const pc = typeof note.midi === 'number'
+    ? note.midi % 12
+    : LETTER_TO_SEMITONE[note.letter] + (note.accidental === '#' ? 1 : note.accidental === 'b' ? -1 : 0);
+  const interval = ((pc - chord.rootPc) % 12 + 12) % 12;
+
+  const ext = chord.extensions.find((e) => ((EXTENSION_SEMITONES[e.degree] + e.alteration) % 12 + 12) % 12 === interval);
+  if (ext && ext.degree !== 6) {
+    return `${ext.alteration > 0 ? '#' : ext.alteration < 0 ? 'b' : ''}${ext.degree}`;
   }
 
-  // Tritone substitution (ii - bII7)
-  if (tagStr.includes('tritone') || tagStr.includes('tritone sub') || tagStr.includes('tritone-sub')) {
-    // Place Dm7 on beat 1 and Db7 (bII7) on beat 3
-    symbols.push({ index: 0, text: 'Dm7' });
-    symbols.push({ index: 4, text: 'Db7' });
-    return symbols;
+  if (chord.quality.includes('sus') && interval === 5) return '4';
+  if (chord.quality.includes('sus2') && interval === 2) return '2';
+  if ((chord.quality === '6' || chord.quality === 'm6' || ext?.degree === 6) && interval === 9) return '6';
+  if (chord.quality === 'mMaj7') {
+    if (interval === 11) return '7';
+    if (interval === 10) return 'b7';
   }
+  return CHORD_TONE_LABELS[chord.family][interval];
+}
+
+// Text of the chord sounding at note `index`: the last symbol placed at or
+// before it, or a whole-measure symbol.
+export function chordAtIndex(symbols = [], index) {
+  let current = null;
+  symbols.forEach((c) => {
+    if (c.whole && !current) current = c;
+    if (typeof c.index === 'number' && c.index <= index && (!current || current.whole || c.index >= current.index)) {
+      current = c;
+    }
+  });
+  return current ? current.text : null;
+}
+
+// ---------------------------------------------------------------------------
+// Function analysis
+// ---------------------------------------------------------------------------
+
+// Function categories in display order
+export const FUNCTION_CATEGORIES = [
+  'Major ii-v',
+  'Minor ii-v',
+  'Static Minor',
+  'Dominant 7',
+  'Altered Dominant',
+  'Phrygian Dominant',
+  'H/W Diminished',
+  'Tritone Sub',
+  'Other'
+];
+
+function hasExtension(chord, degree, alteration) {
+  return chord.extensions.some((e) => e.degree === degree && e.alteration === alteration);
+}
+
+function dominantCategory(chord) {
+  if (chord.alt || hasExtension(chord, 5, 1)) return 'Altered Dominant';
+  if (hasExtension(chord, 13, -1)) return 'Phrygian Dominant';
+  if (hasExtension(chord, 9, -1)) return 'H/W Diminished';
+  return 'Dominant 7';
+}
+
+// Which FUNCTION_CATEGORIES entry a set of changes belongs to
+export function functionCategory(changes = []) {
+  const chords = (changes || []).map((c) => tryParseChordSymbol(c.symbol)).filter(Boolean);
+  if (chords.length === 0) return 'Other';
 
-  if (isV13b9) {
-    symbols.push({ index: 0, text: 'G13(b9)' });
-    return symbols;
+  if (chords.length >= 2) {
+    const [first, second] = chords;
+    const rootMotion = ((second.rootPc - first.rootPc) % 12 + 12) % 12;
+    if (second.family === 'dominant') {
+      if (first.family === 'half-diminished' && rootMotion === 5) return 'Minor ii-v';
+      if (first.family === 'minor' && rootMotion === 5) return 'Major ii-v';
+      if (first.family === 'minor' && rootMotion === 11) return 'Tritone Sub';
+    }
   }
 
-  return symbols;
+  const [chord] = chords;
+  if (chords.length === 1 && chord.family === 'minor') return 'Static Minor';
+  if (chord.family === 'dominant') return dominantCategory(chord);
+  if (chord.family === 'diminished') return 'H/W Diminished';
+  return 'Other';
 }
 
-export default { semitoneToName, computeChordSymbols };
+export default {
+  semitoneToName,
+  parseChordSymbol,
+  formatChordSymbol,
+  transposeChordSymbol,
+  computeChordSymbols,
+  lineChanges,
+  chordToneLabel,
+  chordAtIndex,
+  functionCategory
+};
@@ -0,0 +1,113 @@
+import { CONNECTION_RULES, classifyConnection } from "./connections.js";
+
+// Directed graph of which line may follow which. `edges[i]` lists
+// { to, connection } for every line j that classifyConnection accepts after
+// lines[i] under `rules`; a line may follow itself (callers decide whether
+// duplicates are allowed).
+export function buildConnectionGraph(lines = [], rules = CONNECTION_RULES) {
+  const edges = lines.map((from) => {
+    const out = [];
+    lines.forEach((to, j) => {
+      const connection = classifyConnection(from, to, rules);
+      if (connection) out.push({ to: j, connection });
+    });
+    return out;
+  });
+  return { lines, edges };
+}
+
+// Strongly connected groups (Tarjan's algorithm, iterative so large
+// libraries don't overflow the stack). Within a group every line can reach
+// every other, so the group can be chained indefinitely. Returns arrays of
+// line indices, largest group first.
+export function stronglyConnectedComponents(graph) {
+  const n = graph.lines.length;
+  const index = new Array(n).fill(-1);
+  const low = new Array(n).fill(0);
+  const onStack = new Array(n).fill(false);
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (let root = 0; root < n; root++) {
+    if (index[root] !== -1) continue;
+    // frames of [node, position in its edge list]
+    const work = [[root, 0]];
+    index[root] = low[root] = counter++;
+    stack.push(root);
+    onStack[root] = true;
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const [v, i] = frame;
+      const edges = graph.edges[v];
+      if (i < edges.length) {
+        frame[1]++;
+        const w = edges[i].to;
+        if (index[w] === -1) {
+          index[w] = low[w] = counter++;
+          stack.push(w);
+          onStack[w] = true;
+          work.push([w, 0]);
+        } else if (onStack[w]) {
+          low[v] = Math.min(low[v], index[w]);
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1][0];
+        low[parent] = Math.min(low[parent], low[v]);
+      }
+      if (low[v] === index[v]) {
+        const component = [];
+        let w;
+        do {
+          w = stack.pop();
+          onStack[w] = false;
+          component.push(w);
+        } while (w !== v);
+        components.push(component.sort((a, b) => a - b));
+      }
+    }
+  }
+
+  return components.sort((a, b) => b.length - a.length);
+}
+
+// Summary of how playable a library is in long chains. Self-connections
+// are ignored, since repeating a line doesn't help a chain go anywhere.
+//   deadEnds   lines nothing can follow
+//   orphans    lines that can't follow anything
+//   ranking    [{ index, outDegree, inDegree }] most-connected first
+//   components strongly connected groups of two or more lines
+//   isolated   lines in no such group
+export function analyzeConnectionGraph(graph) {
+  const n = graph.lines.length;
+  const outDegree = new Array(n).fill(0);
+  const inDegree = new Array(n).fill(0);
+  graph.edges.forEach((edges, from) => {
+    edges.forEach(({ to }) => {
+      if (to === from) return;
+      outDegree[from]++;
+      inDegree[to]++;
+    });
+  });
+
+  const all = graph.lines.map((_, i) => i);
+  const ranking = all
+    .map((i) => ({ index: i, outDegree: outDegree[i], inDegree: inDegree[i] }))
+    .sort((a, b) => (b.outDegree + b.inDegree) - (a.outDegree + a.inDegree) || a.index - b.index);
+  const sccs = stronglyConnectedComponents(graph);
+
+  return {
+    deadEnds: all.filter((i) => outDegree[i] === 0),
+    orphans: all.filter((i) => inDegree[i] === 0),
+    ranking,
+    components: sccs.filter((c) => c.length > 1),
+    isolated: sccs.filter((c) => c.length === 1).map((c) => c[0]).sort((a, b) => a - b)
+  };
+}
+
+export default { buildConnectionGraph, stronglyConnectedComponents, analyzeConnectionGraph };
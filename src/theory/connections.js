@@ -1,3 +1,7 @@
+import { normalizeKey } from "./degrees.js";
+import { pitchNameToSemitone } from "./pitch.js";
+import { lineChanges, tryParseChordSymbol } from "./chords.js";
+
 // Chromatic scale order (C major / relative degrees)
 export const SCALE_ORDER = [
   "1", "b2", "2", "b3", "3",
@@ -37,18 +41,32 @@ function degreeToSemitone(deg) {
   return sem;
 }
 
-function semitoneDistance(a, b) {
-  const diff = Math.abs(a - b) % 12;
-  return Math.min(diff, 12 - diff);
+// Spelling-independent name for a degree ("#4" and "b5" both become "b5"),
+// so lines group under SCALE_ORDER whatever key they were entered in.
+export function canonicalDegree(deg) {
+  const sem = degreeToSemitone(deg);
+  return sem === null ? deg : SCALE_ORDER[sem];
+}
+
+// Absolute pitch class (C = 0) of a degree in the given key
+export function degreeToPitchClass(deg, key) {
+  const sem = degreeToSemitone(deg);
+  if (sem === null) return null;
+  return (sem + pitchNameToSemitone(normalizeKey(key).tonic)) % 12;
 }
 
 function forwardSemitoneDistance(from, to) {
   return (to - from + 12) % 12;
 }
 
-// Find nearest chord tone semitone above (forward) the given semitone
-function nearestChordToneAbove(semitone) {
-  const chordSemis = CHORD_TONES.map(degreeToSemitone).filter(v => v !== null);
+// Smallest signed move between two pitch classes (-5..6, + is up)
+function signedInterval(from, to) {
+  const fwd = forwardSemitoneDistance(from, to);
+  return fwd > 6 ? fwd - 12 : fwd;
+}
+
+// Find nearest chord tone (pitch class) above (forward) the given one
+function nearestChordToneAbove(semitone, chordSemis) {
   let best = null;
   let bestDist = 999;
   for (const cs of chordSemis) {
@@ -61,8 +79,7 @@ function nearestChordToneAbove(semitone) {
   return best;
 }
 
-function nearestChordToneBelow(semitone) {
-  const chordSemis = CHORD_TONES.map(degreeToSemitone).filter(v => v !== null);
+function nearestChordToneBelow(semitone, chordSemis) {
   let best = null;
   let bestDist = 999;
   for (const cs of chordSemis) {
@@ -75,23 +92,198 @@ function nearestChordToneBelow(semitone) {
   return best;
 }
 
-// Determine if two lines can connect
-export function canConnect(lineA, lineB) {
-  const end = lineA?.end?.degree;
-  const start = lineB?.start?.degree;
-  const endSem = degreeToSemitone(end);
-  const startSem = degreeToSemitone(start);
-  if (endSem === null || startSem === null) return false;
+// Pitch classes of a parsed chord's basic tones (root, 3rd, 5th, 7th/6th)
+function chordTonePitchClasses(chord) {
+  return chord.intervals.map((i) => (chord.rootPc + i) % 12);
+}
+
+// 3rd and 7th (or 6th) of a chord: the notes that define its quality
+function guideTonePitchClasses(chord) {
+  return [chord.intervals[1], chord.intervals[3]]
+    .filter((i) => typeof i === 'number')
+    .map((i) => (chord.rootPc + i) % 12);
+}
+
+function lastChord(line) {
+  const changes = lineChanges(line);
+  return changes.length > 0 ? tryParseChordSymbol(changes[changes.length - 1].symbol) : null;
+}
+
+function firstChord(line) {
+  const changes = lineChanges(line);
+  return changes.length > 0 ? tryParseChordSymbol(changes[0].symbol) : null;
+}
+
+function pitchClassOf(note) {
+  return typeof note?.midi === 'number' ? ((note.midi % 12) + 12) % 12 : null;
+}
+
+function midiIntervalBetween(from, to) {
+  return typeof from?.midi === 'number' && typeof to?.midi === 'number' ? to.midi - from.midi : null;
+}
+
+// Everything a connection rule gets to look at when judging lineA -> lineB.
+// Pitch classes are absolute (C = 0); `interval` is the smallest move from
+// the last note of lineA to the first note of lineB and `midiInterval` the
+// move as written, in the lines' actual registers (null without MIDI
+// numbers). `outgoing` is the chord
+// lineA ends over and `incoming` the one lineB starts over (null when the
+// line has no changes).
+export function connectionContext(lineA, lineB) {
+  const endPc = degreeToPitchClass(lineA?.end?.degree, lineA?.key);
+  const startPc = degreeToPitchClass(lineB?.start?.degree, lineB?.key);
+  if (endPc === null || startPc === null) return null;
+
+  const tonicPc = pitchNameToSemitone(normalizeKey(lineA?.key).tonic);
+  return {
+    lineA,
+    lineB,
+    endPc,
+    startPc,
+    interval: signedInterval(endPc, startPc),
+    midiInterval: midiIntervalBetween(lineA?.end, lineB?.start),
+    tonicPc,
+    outgoing: lastChord(lineA),
+    incoming: firstChord(lineB)
+  };
+}
+
+function direction(interval) {
+  if (interval > 0) return 'up';
+  if (interval < 0) return 'down';
+  return null;
+}
 
-  // 1) Semitone (1) or whole-tone (2) up/down (circular)
-  const chromaticDist = semitoneDistance(endSem, startSem);
-  if (chromaticDist === 1 || chromaticDist === 2) return true;
+// Connection rules, tried in order; the first whose `match` returns a
+// result wins. `match(ctx)` gets a connectionContext() and returns null or
+// { direction }. Pass a different list (or a filtered copy of this one) to
+// canConnect / classifyConnection to change what counts as a connection.
+export const CONNECTION_RULES = [
+  {
+    // 3rd or 7th of the outgoing chord moving by step (or holding) to the
+    // 3rd or 7th of the incoming one, e.g. F over G7 -> E over Cmaj7
+    id: 'guide-tone',
+    label: 'Guide-tone resolution',
+    match(ctx) {
+      if (!ctx.outgoing || !ctx.incoming) return null;
+      if (Math.abs(ctx.interval) > 2) return null;
+      if (!guideTonePitchClasses(ctx.outgoing).includes(ctx.endPc)) return null;
+      if (!guideTonePitchClasses(ctx.incoming).includes(ctx.startPc)) return null;
+      return { direction: direction(ctx.interval) };
+    }
+  },
+  {
+    // The last two notes of lineA surround lineB's first note from above and
+    // below, and that note is a chord tone of the incoming chord
+    id: 'enclosure',
+    label: 'Enclosure',
+    match(ctx) {
+      if (!ctx.incoming) return null;
+      const notes = ctx.lineA?.notes || [];
+      if (notes.length < 2) return null;
+      const a = pitchClassOf(notes[notes.length - 2]);
+      const b = pitchClassOf(notes[notes.length - 1]);
+      if (a === null || b === null) return null;
+      if (!chordTonePitchClasses(ctx.incoming).includes(ctx.startPc)) return null;
+      const fromA = signedInterval(a, ctx.startPc);
+      const fromB = signedInterval(b, ctx.startPc);
+      const encloses = Math.abs(fromA) <= 2 && Math.abs(fromB) <= 2 && fromA !== 0 && fromB !== 0 && Math.sign(fromA) !== Math.sign(fromB);
+      return encloses ? { direction: direction(fromB) } : null;
+    }
+  },
+  {
+    id: 'tied',
+    label: 'Tied (same note)',
+    match(ctx) {
+      return ctx.interval === 0 ? { direction: null } : null;
+    }
+  },
+  {
+    id: 'half-step',
+    label: 'Half step',
+    match(ctx) {
+      return Math.abs(ctx.interval) === 1 ? { direction: direction(ctx.interval) } : null;
+    }
+  },
+  {
+    id: 'whole-step',
+    label: 'Whole step',
+    match(ctx) {
+      return Math.abs(ctx.interval) === 2 ? { direction: direction(ctx.interval) } : null;
+    }
+  },
+  {
+    // Nearest chord tone of the incoming chord above or below the last note;
+    // without changes, 1-3-5-7 of lineA's key
+    id: 'chord-tone',
+    label: 'Chord tone',
+    match(ctx) {
+      const chordSemis = ctx.incoming
+        ? chordTonePitchClasses(ctx.incoming)
+        : CHORD_TONES.map((d) => (degreeToSemitone(d) + ctx.tonicPc) % 12);
+      const above = nearestChordToneAbove(ctx.endPc, chordSemis);
+      const below = nearestChordToneBelow(ctx.endPc, chordSemis);
+      if (above !== null && ctx.startPc === above) return { direction: 'up' };
+      if (below !== null && ctx.startPc === below) return { direction: 'down' };
+      return null;
+    }
+  }
+];
 
-  // 2) Connect to the nearest chord tone above or below
-  const above = nearestChordToneAbove(endSem);
-  const below = nearestChordToneBelow(endSem);
-  if (above !== null && startSem === above) return true;
-  if (below !== null && startSem === below) return true;
+// Semitones the join should span for a rule match going `dir`: chord-tone
+// leaps can be up to a seventh, steps take the short way round.
+function fittedDistance(ctx, dir) {
+  const forward = forwardSemitoneDistance(ctx.endPc, ctx.startPc);
+  if (dir === 'up') return forward === 0 ? 12 : forward;
+  if (dir === 'down') return forward === 0 ? -12 : forward - 12;
+  return ctx.interval;
+}
+
+// Classify how lineB follows lineA: the first rule that accepts the join
+// decides the type. Rules judge pitch classes; the register is reported
+// separately so callers can tell a real half step from E5 -> F3.
+// Returns null when no rule accepts the join, otherwise
+//   { type, direction, distance, fittedDistance, octaveShift, rule }
+// where type is the rule id, distance the semitones from lineA's last note
+// to lineB's first as written, fittedDistance what the join should span,
+// and octaveShift the octaves lineB has to move for the two to agree.
+export function classifyConnection(lineA, lineB, rules = CONNECTION_RULES) {
+  const ctx = connectionContext(lineA, lineB);
+  if (!ctx) return null;
+  for (const rule of rules) {
+    const result = rule.match(ctx);
+    if (result) {
+      const dir = result.direction ?? null;
+      const fitted = fittedDistance(ctx, dir);
+      const distance = ctx.midiInterval ?? fitted;
+      return { type: rule.id, direction: dir, distance, fittedDistance: fitted, octaveShift: Math.round((fitted - distance) / 12), rule };
+    }
+  }
+  return null;
+}
+
+// Determine if two lines can connect under the given rules
+export function canConnect(lineA, lineB, rules = CONNECTION_RULES) {
+  return classifyConnection(lineA, lineB, rules) !== null;
+}
+
+// How the Explorer groups candidate lines, in display order. A connection
+// lands in the first bucket whose type (and direction, when given) match.
+export const CONNECTION_BUCKETS = [
+  { id: 'tied', label: 'Tied (Same note)', type: 'tied' },
+  { id: 'halfUp', label: 'Half step up', type: 'half-step', direction: 'up' },
+  { id: 'halfDown', label: 'Half step down', type: 'half-step', direction: 'down' },
+  { id: 'wholeUp', label: 'Whole step up', type: 'whole-step', direction: 'up' },
+  { id: 'wholeDown', label: 'Whole step down', type: 'whole-step', direction: 'down' },
+  { id: 'chordUp', label: 'Chord tone up', type: 'chord-tone', direction: 'up' },
+  { id: 'chordDown', label: 'Chord tone down', type: 'chord-tone', direction: 'down' },
+  { id: 'guideTone', label: 'Guide-tone resolution', type: 'guide-tone' },
+  { id: 'enclosure', label: 'Enclosure', type: 'enclosure' }
+];
 
-  return false;
+// Bucket id for a classifyConnection() result, or null
+export function bucketForConnection(connection) {
+  if (!connection) return null;
+  const bucket = CONNECTION_BUCKETS.find((b) => b.type === connection.type && (!b.direction || b.direction === connection.direction));
+  return bucket ? bucket.id : null;
 }
@@ -1,23 +1,85 @@
-const LETTER_TO_DEGREE = {
-  C: 1,
-  D: 2,
-  E: 3,
-  F: 4,
-  G: 5,
-  A: 6,
-  B: 7
+import { LETTERS, LETTER_TO_SEMITONE } from "./pitch.js";
+
+// Semitones above the tonic for each major-scale degree (index 0 = degree 1)
+const MAJOR_SCALE_SEMITONES = [0, 2, 4, 5, 7, 9, 11];
+
+// Supported modes and how far their tonic sits above the relative major's
+export const MODES = {
+  major: 0,
+  dorian: 2,
+  phrygian: 4,
+  lydian: 5,
+  mixolydian: 7,
+  minor: 9,
+  locrian: 11
 };
 
-export function noteToDegree(note) {
-  const baseDegree = LETTER_TO_DEGREE[note.letter];
+export const DEFAULT_KEY = { tonic: "C", mode: "major" };
+
+// Accept a key object, a bare tonic ("Bb") or a tonic plus mode
+// ("Bb minor", "Cm") and return { tonic, mode }. Unknown input falls back to
+// C major, which is what lines saved before keys existed were written in.
+export function normalizeKey(key) {
+  if (!key) return { ...DEFAULT_KEY };
+
+  let tonic = DEFAULT_KEY.tonic;
+  let mode = DEFAULT_KEY.mode;
+
+  if (typeof key === "string") {
+    const m = key.trim().match(/^([A-Ga-g])([#b]?)\s*(m|min|minor|maj|major|[a-z]+)?$/);
+    if (!m) return { ...DEFAULT_KEY };
+    tonic = `${m[1].toUpperCase()}${m[2]}`;
+    const rawMode = (m[3] || "").toLowerCase();
+    if (rawMode === "m" || rawMode === "min") mode = "minor";
+    else if (rawMode === "maj" || rawMode === "") mode = "major";
+    else mode = rawMode;
+  } else {
+    tonic = key.tonic || DEFAULT_KEY.tonic;
+    mode = key.mode || DEFAULT_KEY.mode;
+  }
+
+  if (!(mode in MODES)) mode = DEFAULT_KEY.mode;
+  return { tonic, mode };
+}
 
-  if (!baseDegree) {
+function accidentalOffset(accidental) {
+  let offset = 0;
+  for (const ch of accidental || "") {
+    if (ch === "#") offset += 1;
+    if (ch === "b") offset -= 1;
+  }
+  return offset;
+}
+
+// Degree of a note relative to the tonic of `key` (a key object or a pitch
+// name like "Bb"). The degree number comes from the letter distance to the
+// tonic and the accidental from how far the note sits from the major scale,
+// so in Bb an Eb is "4" and a Db is "b3". Degrees are always major-relative
+// regardless of mode so they line up with SCALE_ORDER.
+export function noteToDegree(note, key = DEFAULT_KEY) {
+  const { tonic } = normalizeKey(key);
+  const letterIdx = LETTERS.indexOf(note.letter);
+
+  if (letterIdx === -1) {
     throw new Error(`Unknown note letter: ${note.letter}`);
   }
 
-  if (!note.accidental || note.accidental === "") {
-    return String(baseDegree);
+  const tonicLetter = String(tonic).charAt(0).toUpperCase();
+  const tonicIdx = LETTERS.indexOf(tonicLetter);
+  if (tonicIdx === -1) {
+    throw new Error(`Unknown tonic: ${tonic}`);
   }
 
-  return `${note.accidental}${baseDegree}`;
+  const tonicSemitone = LETTER_TO_SEMITONE[tonicLetter] + accidentalOffset(String(tonic).slice(1));
+  const noteSemitone = LETTER_TO_SEMITONE[note.letter] + accidentalOffset(note.accidental);
+
+  const degreeIdx = (letterIdx - tonicIdx + 7) % 7;
+  const fromTonic = (((noteSemitone - tonicSemitone) % 12) + 12) % 12;
+
+  let diff = fromTonic - MAJOR_SCALE_SEMITONES[degreeIdx];
+  if (diff > 6) diff -= 12;
+  if (diff < -6) diff += 12;
+
+  const accidental = diff > 0 ? "#".repeat(diff) : "b".repeat(-diff);
+  return `${accidental}${degreeIdx + 1}`;
 }
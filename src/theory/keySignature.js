@@ -0,0 +1,112 @@
+import { normalizeKey } from "./degrees.js";
+import { LETTERS, LETTER_TO_SEMITONE, parsePitchName } from "./pitch.js";
+
+// Key signatures and how notes are spelled against them in notation
+
+// Letters in circle-of-fifths order: sharps are added F, C, G... and flats
+// B, E, A... (the same order backwards)
+const FIFTHS_ORDER = ["F", "C", "G", "D", "A", "E", "B"];
+
+// How many fifths each mode's signature sits below its tonic's major key
+// (D dorian, E phrygian, A minor... all share C major's signature)
+const MODE_FIFTHS = {
+  major: 0,
+  dorian: -2,
+  phrygian: -4,
+  lydian: 1,
+  mixolydian: -1,
+  minor: -3,
+  locrian: -5
+};
+
+function mod(n, m) {
+  return ((n % m) + m) % m;
+}
+
+function alterOf(accidental) {
+  return accidental === "#" ? 1 : accidental === "b" ? -1 : 0;
+}
+
+function accidentalFor(alter) {
+  return alter === 1 ? "#" : alter === -1 ? "b" : "";
+}
+
+// Position of a pitch name on the circle of fifths (C 0, G 1, F -1, Bb -2...)
+function fifthsOf(name) {
+  const { letter, accidental } = parsePitchName(name);
+  return FIFTHS_ORDER.indexOf(letter) - 1 + 7 * alterOf(accidental);
+}
+
+// The signature of a key (key object, "Bb", "D dorian"...):
+// { name, fifths, accidentals }. `name` is the major key with that signature
+// (also the VexFlow key spec), `fifths` counts sharps (> 0) or flats (< 0)
+// and `accidentals` maps each altered letter to "#" or "b". Keys past seven
+// sharps or flats are written as their enharmonic (G# major as Ab).
+export function keySignature(key) {
+  const { tonic, mode } = normalizeKey(key);
+  let fifths = fifthsOf(tonic) + MODE_FIFTHS[mode];
+  if (fifths > 7) fifths -= 12;
+  if (fifths < -7) fifths += 12;
+
+  const name = `${FIFTHS_ORDER[mod(fifths + 1, 7)]}${accidentalFor(Math.floor((fifths + 1) / 7))}`;
+  const accidentals = {};
+  const altered = fifths > 0 ? FIFTHS_ORDER.slice(0, fifths) : FIFTHS_ORDER.slice(7 + fifths).reverse();
+  altered.forEach((letter) => { accidentals[letter] = fifths > 0 ? "#" : "b"; });
+
+  return { name, fifths, accidentals };
+}
+
+// The key with `fifths` sharps (> 0) or flats (< 0) in `mode`, as
+// { tonic, mode } (MusicXML's <key>); unknown modes read as major
+export function keyFromFifths(fifths, mode = "major") {
+  const keyMode = mode === "aeolian" ? "minor" : mode in MODE_FIFTHS ? mode : "major";
+  const tonicFifths = fifths - MODE_FIFTHS[keyMode];
+  const tonic = `${FIFTHS_ORDER[mod(tonicFifths + 1, 7)]}${accidentalFor(Math.floor((tonicFifths + 1) / 7))}`;
+  return { tonic, mode: keyMode };
+}
+
+// Spell a note for a key signature. Notes of the key take the key's
+// spelling; other white keys are naturals; black keys outside the key are
+// sharp when the line moves up from them and flat when it moves down
+// (F# rising to G, Gb falling to F), and otherwise keep their own spelling.
+// `direction` is the sign of that motion.
+export function spellInKey(note, signature, direction = 0) {
+  const pc = mod(note.midi, 12);
+  const spell = (letter, alter) => ({
+    ...note,
+    letter,
+    accidental: accidentalFor(alter),
+    octave: Math.floor((note.midi - LETTER_TO_SEMITONE[letter] - alter) / 12) - 1
+  });
+
+  const inKey = LETTERS.find((l) => mod(LETTER_TO_SEMITONE[l] + alterOf(signature.accidentals[l]), 12) === pc);
+  if (inKey) return spell(inKey, alterOf(signature.accidentals[inKey]));
+
+  const natural = LETTERS.find((l) => LETTER_TO_SEMITONE[l] === pc);
+  if (natural) return spell(natural, 0);
+
+  if (direction > 0) return spell(LETTERS.find((l) => LETTER_TO_SEMITONE[l] === pc - 1), 1);
+  if (direction < 0) return spell(LETTERS.find((l) => LETTER_TO_SEMITONE[l] === mod(pc + 1, 12)), -1);
+  return note;
+}
+
+// Spell a line's notes for a key signature, reading the direction of each
+// chromatic note from the next different pitch (or, at the end of the line,
+// from the note before). A note tied over keeps the spelling of the note it
+// is tied from.
+export function spellLine(notes, signature) {
+  const spelled = [];
+  notes.forEach((note, i) => {
+    const prev = notes[i - 1];
+    if (prev && prev.rhythm?.tie && prev.midi === note.midi) {
+      spelled.push({ ...note, letter: spelled[i - 1].letter, accidental: spelled[i - 1].accidental, octave: spelled[i - 1].octave });
+      return;
+    }
+    const next = notes.slice(i + 1).find((n) => n.midi !== note.midi);
+    const direction = next ? Math.sign(next.midi - note.midi) : prev ? Math.sign(note.midi - prev.midi) : 0;
+    spelled.push(spellInKey(note, signature, direction));
+  });
+  return spelled;
+}
+
+export default { keySignature, keyFromFifths, spellInKey, spellLine };
@@ -1,33 +1,45 @@
 import { notesToIntervals } from "./intervals.js";
-import { noteToDegree } from "./degrees.js";
+import { noteToDegree, normalizeKey } from "./degrees.js";
+import { tupletList, tripletStartOf } from "./timing.js";
 
-export function buildJazzLine(notes, tripletStartIndex = -1) {
+// `key` is the line's tonic and mode ({ tonic: "Bb", mode: "major" } or a
+// string like "Bb"); every degree on the line is measured from it.
+// Notes may carry their own `rhythm` (see timing.js); `tuplets` is the list
+// of tuplet groups (or an old-style triplet start index) and `pickup` is how
+// many beats of the line come before beat 1.
+export function buildJazzLine(notes, tuplets = -1, key, pickup = 0) {
   const intervals = notesToIntervals(notes);
+  const lineKey = normalizeKey(key);
 
   const start = notes[0];
   const end = notes[notes.length - 1];
 
-  // For 9-note lines, default triplet to last 3 notes
-  let finalTripletIndex = tripletStartIndex;
-  if (tripletStartIndex === -1 && notes.length === 9) {
-    finalTripletIndex = 6; // last 3 notes
-  }
+  // With no tuplets given, 9-note lines of plain eighths default to a
+  // triplet on the last 3 notes
+  const hasRhythm = notes.some((n) => n.rhythm);
+  const groups = tuplets === -1 && notes.length === 9 && !hasRhythm
+    ? tupletList(6)
+    : tupletList(tuplets);
 
   return {
     notes,
     intervals,
+    key: lineKey,
+    degrees: notes.map((n) => noteToDegree(n, lineKey)),
 
     start: {
       ...start,
-      degree: noteToDegree(start)
+      degree: noteToDegree(start, lineKey)
     },
 
     end: {
       ...end,
-      degree: noteToDegree(end)
+      degree: noteToDegree(end, lineKey)
     },
 
     length: notes.length,
-    tripletStartIndex: finalTripletIndex
+    tuplets: groups,
+    tripletStartIndex: tripletStartOf(groups),
+    ...(pickup > 0 ? { pickup } : {})
   };
 }
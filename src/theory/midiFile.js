@@ -0,0 +1,336 @@
+import { spellMidi } from "./pitch.js";
+import { normalizeKey } from "./degrees.js";
+import { keyFromFifths, keySignature, spellLine } from "./keySignature.js";
+import { TIME_SIGNATURES, timeSignature, barBeats, splitBeats, rhythmBeats, swingBeat, STRAIGHT } from "./timing.js";
+import { compingPart, bassPart } from "./accompaniment.js";
+import { buildSchedule } from "./schedule.js";
+
+// Standard MIDI files: writing and reading the bytes, and turning a played-in
+// melody into bars of written rhythm
+
+export const TICKS_PER_BEAT = 480;
+
+function varLen(value) {
+  const bytes = [value & 0x7f];
+  let rest = value >> 7;
+  while (rest > 0) {
+    bytes.unshift((rest & 0x7f) | 0x80);
+    rest >>= 7;
+  }
+  return bytes;
+}
+
+function uint32(n) {
+  return [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+}
+
+function textBytes(text) {
+  return Array.from(new TextEncoder().encode(String(text)));
+}
+
+// Event helpers for encodeMidiFile: { tick, data }
+export const midiEvents = {
+  trackName: (tick, name) => ({ tick, data: [0xff, 0x03, ...varLen(textBytes(name).length), ...textBytes(name)] }),
+  tempo: (tick, bpm) => {
+    const mpqn = Math.round(60000000 / bpm);
+    return { tick, data: [0xff, 0x51, 0x03, (mpqn >> 16) & 0xff, (mpqn >> 8) & 0xff, mpqn & 0xff] };
+  },
+  timeSignature: (tick, meter) => ({ tick, data: [0xff, 0x58, 0x04, meter.beats, Math.log2(meter.beatValue), 24, 8] }),
+  keySignature: (tick, fifths, minor = false) => ({ tick, data: [0xff, 0x59, 0x02, fifths & 0xff, minor ? 1 : 0] }),
+  program: (tick, channel, program) => ({ tick, data: [0xc0 | channel, program & 0x7f] }),
+  noteOn: (tick, channel, midi, velocity) => ({ tick, data: [0x90 | channel, midi & 0x7f, velocity & 0x7f] }),
+  noteOff: (tick, channel, midi) => ({ tick, data: [0x80 | channel, midi & 0x7f, 0] })
+};
+
+// A format 1 MIDI file from tracks of { tick, data } events (absolute
+// ticks, any order; at the same tick note-offs go first)
+export function encodeMidiFile(tracks, ticksPerBeat = TICKS_PER_BEAT) {
+  const isNoteOff = (e) => (e.data[0] & 0xf0) === 0x80;
+  const chunks = tracks.map((events) => {
+    const sorted = events
+      .map((e, i) => ({ ...e, i }))
+      .sort((a, b) => a.tick - b.tick || (isNoteOff(b) - isNoteOff(a)) || a.i - b.i);
+    const bytes = [];
+    let last = 0;
+    sorted.forEach((e) => {
+      bytes.push(...varLen(Math.max(0, Math.round(e.tick) - last)), ...e.data);
+      last = Math.max(last, Math.round(e.tick));
+    });
+    bytes.push(0x00, 0xff, 0x2f, 0x00);
+    return [0x4d, 0x54, 0x72, 0x6b, ...uint32(bytes.length), ...bytes];
+  });
+  const header = [0x4d, 0x54, 0x68, 0x64, ...uint32(6), 0, 1, (tracks.length >> 8) & 0xff, tracks.length & 0xff, (ticksPerBeat >> 8) & 0xff, ticksPerBeat & 0xff];
+  return new Uint8Array([...header, ...chunks.flat()]);
+}
+
+// Read a MIDI file (ArrayBuffer or bytes): { ticksPerBeat, tracks }, where
+// each track is { name, notes: [{ midi, tick, ticks, velocity, channel }],
+// timeSignature: { beats, beatValue } | null, key: { fifths, minor } | null }
+export function parseMidiFile(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const text = (pos, len) => String.fromCharCode(...bytes.subarray(pos, pos + len));
+  const u16 = (pos) => (bytes[pos] << 8) | bytes[pos + 1];
+  const u32 = (pos) => ((bytes[pos] << 24) >>> 0) + (bytes[pos + 1] << 16) + (bytes[pos + 2] << 8) + bytes[pos + 3];
+  const readVarLen = (pos) => {
+    let value = 0;
+    let p = pos;
+    for (;;) {
+      const b = bytes[p++];
+      value = (value << 7) | (b & 0x7f);
+      if (!(b & 0x80) || p >= bytes.length) return { value, pos: p };
+    }
+  };
+
+  if (bytes.length < 14 || text(0, 4) !== "MThd") throw new Error("Not a MIDI file");
+  const trackCount = u16(10);
+  const ticksPerBeat = u16(12);
+  if (ticksPerBeat & 0x8000) throw new Error("SMPTE-timed MIDI files are not supported");
+
+  const tracks = [];
+  let pos = 8 + u32(4);
+  while (tracks.length < trackCount && pos + 8 <= bytes.length) {
+    const end = pos + 8 + u32(pos + 4);
+    if (text(pos, 4) !== "MTrk") {
+      pos = end;
+      continue;
+    }
+    const track = { name: "", notes: [], timeSignature: null, key: null };
+    const sounding = {};
+    let p = pos + 8;
+    let tick = 0;
+    let status = 0;
+    while (p < end) {
+      const delta = readVarLen(p);
+      tick += delta.value;
+      p = delta.pos;
+      if (bytes[p] & 0x80) status = bytes[p++];
+
+      if (status === 0xff) {
+        const type = bytes[p++];
+        const len = readVarLen(p);
+        const data = bytes.subarray(len.pos, len.pos + len.value);
+        if (type === 0x03 && !track.name) track.name = new TextDecoder().decode(data);
+        if (type === 0x58 && !track.timeSignature) track.timeSignature = { beats: data[0], beatValue: 2 ** data[1] };
+        if (type === 0x59 && !track.key) track.key = { fifths: (data[0] << 24) >> 24, minor: data[1] === 1 };
+        p = len.pos + len.value;
+        status = 0;
+        continue;
+      }
+      if (status === 0xf0 || status === 0xf7) {
+        const len = readVarLen(p);
+        p = len.pos + len.value;
+        status = 0;
+        continue;
+      }
+
+      const type = status & 0xf0;
+      const channel = status & 0x0f;
+      const d1 = bytes[p++];
+      const d2 = type === 0xc0 || type === 0xd0 ? 0 : bytes[p++];
+      const id = `${channel}:${d1}`;
+      if (type === 0x90 && d2 > 0) {
+        sounding[id] = { midi: d1, tick, velocity: d2, channel };
+      } else if ((type === 0x80 || type === 0x90) && sounding[id]) {
+        track.notes.push({ ...sounding[id], ticks: tick - sounding[id].tick });
+        delete sounding[id];
+      }
+    }
+    tracks.push(track);
+    pos = end;
+  }
+  return { ticksPerBeat, tracks };
+}
+
+const ACOUSTIC_BASS = 32;
+
+// A sequence as a MIDI file (bytes), timed like playback: the melody as
+// buildSchedule lays it out, swing included, at `bpm`. With `backing` the
+// comping and bass are added as tracks of their own. `programs` are the
+// General MIDI programs of the melody and comping. The first line's pickup
+// is put before a barline so bars line up in a DAW.
+export function sequenceToMidiFile(sequence, { bpm = 120, swing = STRAIGHT, backing = false, bassStyle = 'walking' } = {}, { title = "Jazz Lines", programs = {} } = {}) {
+  const { events, chords, downbeat, meter } = buildSchedule(sequence, { swing });
+  const bar = barBeats(meter);
+  const lead = (((bar - downbeat) % bar) + bar) % bar;
+  const tick = (beat) => Math.round((beat + lead) * TICKS_PER_BEAT);
+  const key = normalizeKey(sequence[0]?.key);
+
+  const notesOf = (channel, velocity, notes) => notes.flatMap((n) => [
+    midiEvents.noteOn(tick(n.beat), channel, n.midi, velocity),
+    midiEvents.noteOff(Math.max(tick(n.beat) + 1, tick(n.beat + n.beats)), channel, n.midi)
+  ]);
+
+  const tracks = [
+    [
+      midiEvents.trackName(0, title),
+      midiEvents.tempo(0, bpm),
+      midiEvents.timeSignature(0, meter),
+      midiEvents.keySignature(0, keySignature(key).fifths, key.mode === 'minor')
+    ],
+    [
+      midiEvents.trackName(0, "Melody"),
+      midiEvents.program(0, 0, programs.melody ?? 0),
+      ...notesOf(0, 100, events.map((e) => ({ midi: e.note.midi, beat: e.beat, beats: e.beats })))
+    ]
+  ];
+
+  if (backing && chords.length > 0) {
+    const comping = compingPart(chords, meter).flatMap((hit) => hit.midis.map((midi) => ({
+      midi,
+      beat: downbeat + swingBeat(hit.beat - downbeat, swing),
+      beats: hit.beats
+    })));
+    tracks.push([
+      midiEvents.trackName(0, "Comping"),
+      midiEvents.program(0, 1, programs.comping ?? 0),
+      ...notesOf(1, 70, comping)
+    ]);
+    const bass = bassPart(chords, bassStyle).map((n) => ({ ...n, beats: n.beats * 0.95 }));
+    tracks.push([
+      midiEvents.trackName(0, "Bass"),
+      midiEvents.program(0, 2, ACOUSTIC_BASS),
+      ...notesOf(2, 90, bass)
+    ]);
+  }
+
+  return encodeMidiFile(tracks);
+}
+
+// Each beat is read on a sixteenth grid, or on an eighth-triplet grid when
+// its onsets and releases sit closer to thirds of the beat
+function beatGrids(points) {
+  const byBeat = {};
+  points.forEach((p) => {
+    const beat = Math.floor(p + 1e-6);
+    (byBeat[beat] = byBeat[beat] || []).push(p - beat);
+  });
+  const grids = {};
+  Object.entries(byBeat).forEach(([beat, fracs]) => {
+    const error = (per) => fracs.reduce((sum, f) => sum + Math.abs(f - Math.round(f * per) / per), 0);
+    grids[beat] = error(3) < error(4) - 1e-3 ? 3 : 4;
+  });
+  return grids;
+}
+
+// The notes of a MIDI file (see parseMidiFile) as measures shaped like
+// readMusicXmlMeasures', ready for measuresToLines. The first track with
+// notes is read as a melody: notes starting together keep the highest, each
+// note ends where the next begins, and times are quantized to sixteenths or
+// eighth triplets a beat at a time. Notes are cut at barlines into tied
+// pieces and spelled for the file's key signature. Time and key signatures
+// come from the file (4/4 and C when it has none); empty bars before the
+// first note are skipped.
+export function midiToMeasures(midiFile) {
+  const track = midiFile.tracks.find((t) => t.notes.length > 0);
+  if (!track) return [];
+  const ts = midiFile.tracks.map((t) => t.timeSignature).find(Boolean);
+  const tsId = ts && `${ts.beats}/${ts.beatValue}`;
+  const meter = timeSignature(TIME_SIGNATURES.some((t) => t.id === tsId) ? tsId : '4/4');
+  const keyMeta = midiFile.tracks.map((t) => t.key).find(Boolean);
+  const key = keyMeta ? keyFromFifths(keyMeta.fifths, keyMeta.minor ? 'minor' : 'major') : undefined;
+  const signature = keySignature(key);
+  const bar = barBeats(meter);
+
+  // one note at a time, in beats
+  const played = [...track.notes]
+    .sort((a, b) => a.tick - b.tick || b.midi - a.midi)
+    .map((n) => ({ midi: n.midi, on: n.tick / midiFile.ticksPerBeat, off: (n.tick + n.ticks) / midiFile.ticksPerBeat }));
+  const grids = beatGrids(played.flatMap((n) => [n.on, n.off]));
+  const snap = (beat) => {
+    const per = grids[Math.floor(beat + 1e-6)] || 4;
+    return Math.round(beat * per) / per;
+  };
+
+  const notes = [];
+  played.forEach((n) => {
+    const on = snap(n.on);
+    const prev = notes[notes.length - 1];
+    if (prev && on <= prev.on + 1e-6) return;
+    if (prev && prev.off > on) prev.off = on;
+    notes.push({ midi: n.midi, on, off: Math.max(snap(n.off), on + 1 / (grids[Math.floor(on + 1e-6)] || 4)) });
+  });
+  for (let i = 0; i + 1 < notes.length; i++) notes[i].off = Math.min(notes[i].off, notes[i + 1].on);
+
+  const spelled = spellLine(notes.map((n) => spellMidi(n.midi, signature.fifths < 0)), signature);
+
+  // notes and the rests between them, from the first note's bar
+  const firstBar = Math.floor((notes[0].on + 1e-6) / bar);
+  const segments = [];
+  let time = firstBar * bar;
+  notes.forEach((n, i) => {
+    if (n.on > time + 1e-6) segments.push({ start: time, end: n.on, noteIdx: -1 });
+    segments.push({ start: n.on, end: n.off, noteIdx: i });
+    time = n.off;
+  });
+
+  // cut at barlines and around triplet beats, then into written values
+  const isTriplet = (beat) => grids[beat] === 3;
+  const measures = [];
+  let tupletGroup = 0;
+  let tripletBeat = null;
+  segments.forEach((segment) => {
+    const pieces = [];
+    let start = segment.start;
+    while (segment.end - start > 1e-6) {
+      const beat = Math.floor(start + 1e-6);
+      const barEnd = (Math.floor((start + 1e-6) / bar) + 1) * bar;
+      let stop = Math.min(segment.end, barEnd);
+      // a triplet beat is written on its own; so is the plain run up to one
+      for (let b = beat; b < stop - 1e-6; b++) {
+        if (b > start + 1e-6 && (isTriplet(b) || isTriplet(b - 1))) {
+          stop = b;
+          break;
+        }
+      }
+      if (isTriplet(beat)) stop = Math.min(stop, beat + 1);
+
+      const length = stop - start;
+      if (isTriplet(beat) && Math.abs(length - 1) > 1e-6) {
+        if (tripletBeat !== beat) {
+          tupletGroup++;
+          tripletBeat = beat;
+        }
+        const tuplet = { actual: 3, normal: 2, group: tupletGroup };
+        pieces.push({ start, value: Math.round(length * 3) === 2 ? '4' : '8', dots: 0, tuplet });
+      } else {
+        let at = start;
+        splitBeats(length).forEach(({ value, dots }) => {
+          pieces.push({ start: at, value, dots, tuplet: null });
+          at += rhythmBeats({ value, dots });
+        });
+      }
+      start = stop;
+    }
+
+    pieces.forEach((piece, k) => {
+      const m = Math.floor((piece.start + 1e-6) / bar) - firstBar;
+      while (measures.length <= m) {
+        measures.push({
+          number: String(measures.length + 1),
+          pickup: false,
+          notes: [],
+          rests: [],
+          changes: [],
+          key,
+          timeSignature: meter.id,
+          length: 0
+        });
+      }
+      const measure = measures[m];
+      const rhythm = { value: piece.value, dots: piece.dots, tuplet: piece.tuplet };
+      measure.length += rhythmBeats(rhythm);
+      if (segment.noteIdx < 0) {
+        measure.rests.push(rhythm);
+        return;
+      }
+      measure.notes.push({
+        ...spelled[segment.noteIdx],
+        rhythm: { ...rhythm, tie: k < pieces.length - 1, restBefore: measure.rests, restAfter: [] }
+      });
+      measure.rests = [];
+    });
+  });
+  return measures;
+}
+
+export default { TICKS_PER_BEAT, midiEvents, encodeMidiFile, parseMidiFile, sequenceToMidiFile, midiToMeasures };
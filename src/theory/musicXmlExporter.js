@@ -0,0 +1,228 @@
+import { noteToDegree, normalizeKey } from "./degrees.js";
+import { computeChordSymbols, parseChordSymbol } from "./chords.js";
+import { keySignature, spellLine } from "./keySignature.js";
+import { lineTuplets, lineMeter, measureEvents, measureStart, tupletGroups, splitBeats, rhythmBeats, noteOnsets } from "./timing.js";
+
+// Divisions per quarter note: divides evenly into 32nds and the 3:2, 5:4
+// and 6:4 tuplets
+const DIVISIONS = 480;
+
+// Note values as MusicXML <type> names
+const VALUE_TYPES = { '1': 'whole', '2': 'half', '4': 'quarter', '8': 'eighth', '16': '16th', '32': '32nd' };
+
+// Chord qualities (see chords.js) as MusicXML <harmony> kinds
+const QUALITY_KINDS = {
+  '': 'major',
+  'm': 'minor',
+  'dim': 'diminished',
+  'aug': 'augmented',
+  'sus2': 'suspended-second',
+  'sus4': 'suspended-fourth',
+  '6': 'major-sixth',
+  'm6': 'minor-sixth',
+  'maj7': 'major-seventh',
+  '7': 'dominant',
+  '7sus4': 'suspended-fourth',
+  'm7': 'minor-seventh',
+  'mMaj7': 'major-minor',
+  'm7b5': 'half-diminished',
+  'dim7': 'diminished-seventh'
+};
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function alterOf(accidental) {
+  return accidental === "#" ? 1 : accidental === "b" ? -1 : 0;
+}
+
+function duration(beats) {
+  return Math.round(beats * DIVISIONS);
+}
+
+// <step>/<alter> pair for a pitch name like "Bb"
+function stepXml(prefix, name) {
+  const alter = alterOf(name.slice(1));
+  return `<${prefix}-step>${name.charAt(0)}</${prefix}-step>${alter ? `<${prefix}-alter>${alter}</${prefix}-alter>` : ""}`;
+}
+
+// A chord symbol as a <harmony> element (null if it doesn't parse);
+// `offset` is in divisions from the note it is attached to
+function harmonyXml(text, offset) {
+  let chord;
+  try {
+    chord = parseChordSymbol(text);
+  } catch {
+    return null;
+  }
+  const degrees = chord.extensions.map((e) => (
+    `<degree><degree-value>${e.degree}</degree-value><degree-alter>${e.alteration}</degree-alter><degree-type>${e.degree === 5 ? "alter" : "add"}</degree-type></degree>`
+  ));
+  // MusicXML has no 7sus4 kind: it is a sus4 with an added (minor) 7th
+  if (chord.quality === '7sus4') degrees.unshift("<degree><degree-value>7</degree-value><degree-alter>0</degree-alter><degree-type>add</degree-type></degree>");
+  return [
+    "<harmony>",
+    `<root>${stepXml("root", chord.root)}</root>`,
+    `<kind text="${escapeXml(chord.suffix)}">${QUALITY_KINDS[chord.quality]}</kind>`,
+    chord.bass ? `<bass>${stepXml("bass", chord.bass)}</bass>` : "",
+    ...degrees,
+    offset ? `<offset>${offset}</offset>` : "",
+    "</harmony>"
+  ].join("");
+}
+
+function noteXml({ pitch, beats, rhythm, tieStart, tieStop, tupletStart, tupletStop, lyric }) {
+  const parts = ["<note>"];
+  if (pitch) {
+    const alter = alterOf(pitch.accidental);
+    parts.push(`<pitch><step>${pitch.letter}</step>${alter ? `<alter>${alter}</alter>` : ""}<octave>${pitch.octave}</octave></pitch>`);
+  } else {
+    parts.push("<rest/>");
+  }
+  parts.push(`<duration>${duration(beats)}</duration>`);
+  if (tieStop) parts.push('<tie type="stop"/>');
+  if (tieStart) parts.push('<tie type="start"/>');
+  parts.push("<voice>1</voice>", `<type>${VALUE_TYPES[rhythm.value]}</type>`);
+  for (let d = 0; d < (rhythm.dots || 0); d++) parts.push("<dot/>");
+  if (rhythm.tuplet) {
+    parts.push(`<time-modification><actual-notes>${rhythm.tuplet.actual}</actual-notes><normal-notes>${rhythm.tuplet.normal}</normal-notes></time-modification>`);
+  }
+
+  const notations = [];
+  if (tieStop) notations.push('<tied type="stop"/>');
+  if (tieStart) notations.push('<tied type="start"/>');
+  if (tupletStart) notations.push('<tuplet type="start" bracket="yes"/>');
+  if (tupletStop) notations.push('<tuplet type="stop"/>');
+  if (notations.length > 0) parts.push(`<notations>${notations.join("")}</notations>`);
+
+  if (lyric) parts.push(`<lyric number="1"><syllabic>single</syllabic><text>${escapeXml(lyric)}</text></lyric>`);
+  parts.push("</note>");
+  return parts.join("");
+}
+
+// Lines as one MusicXML part (score-partwise 4.0). Each line starts on a
+// new bar (a pickup bar when it has a pickup) and its last bar is filled
+// out with rests. Notes are spelled for the line's key signature, chord
+// symbols (from computeChordSymbols) become <harmony>, tuplets keep their
+// brackets and every note carries its scale degree as a lyric. With
+// `newSystems`, each line also starts a new system (for collections of
+// unrelated lines).
+export function linesToMusicXml(lines, { title = "Jazz Lines", partName = "Lines", newSystems = false } = {}) {
+  const measures = [];
+  let number = 1;
+  let previousKey = null;
+  let previousTime = null;
+  // a tie left open at the end of a line carries into the next line's
+  // first note when it is the same pitch (as in playback)
+  let openTie = null;
+
+  (lines || []).filter((line) => line?.notes?.length > 0).forEach((line, lineIdx) => {
+    const notes = line.notes;
+    const tuplets = lineTuplets(line);
+    const meter = lineMeter(line);
+    const pickup = line.pickup ?? 0;
+    const key = normalizeKey(line.key);
+    const signature = keySignature(key);
+    const spelled = spellLine(notes, signature);
+    const events = measureEvents(notes, tuplets, meter, pickup);
+    const onsets = noteOnsets(notes, tuplets);
+
+    // chord symbols go on the note they fall on, offset to their beat
+    const harmonies = {};
+    computeChordSymbols(notes, line.tags || [], key.tonic, line.changes, tuplets).forEach((c) => {
+      const xml = harmonyXml(c.text, duration(c.beat - onsets[c.index]));
+      if (xml) (harmonies[c.index] = harmonies[c.index] || []).push(xml);
+    });
+
+    const tupletStarts = new Set();
+    const tupletStops = new Set();
+    tupletGroups(events).forEach(({ indices }) => {
+      tupletStarts.add(indices[0]);
+      tupletStops.add(indices[indices.length - 1]);
+    });
+
+    const measureCount = events.reduce((max, e) => Math.max(max, e.measure + 1), 1);
+    for (let m = 0; m < measureCount; m++) {
+      const contents = [];
+      if (lineIdx > 0 && m === 0 && newSystems) contents.push('<print new-system="yes"/>');
+
+      // key and time signatures where they change
+      const attributes = [];
+      if (measures.length === 0) attributes.push(`<divisions>${DIVISIONS}</divisions>`);
+      if (m === 0 && previousKey !== `${signature.fifths}:${key.mode}`) {
+        attributes.push(`<key><fifths>${signature.fifths}</fifths><mode>${key.mode}</mode></key>`);
+        previousKey = `${signature.fifths}:${key.mode}`;
+      }
+      if (m === 0 && previousTime !== meter.id) {
+        attributes.push(`<time><beats>${meter.beats}</beats><beat-type>${meter.beatValue}</beat-type></time>`);
+        previousTime = meter.id;
+      }
+      if (measures.length === 0) attributes.push("<clef><sign>G</sign><line>2</line></clef>");
+      if (attributes.length > 0) contents.push(`<attributes>${attributes.join("")}</attributes>`);
+
+      let filled = 0;
+      events.forEach((event, k) => {
+        if (event.measure !== m) return;
+        filled += event.beats;
+        const isNote = event.type === "note";
+        const firstPiece = isNote && !event.continued;
+        if (firstPiece && harmonies[event.noteIdx]) contents.push(...harmonies[event.noteIdx]);
+
+        // tied in from the previous note (or piece) when it ties on
+        const prevNote = events.slice(0, k).reverse().find((e) => e.type === "note");
+        const tieStop = isNote && (prevNote
+          ? prevNote.rhythm.tie && (event.continued || notes[prevNote.noteIdx].midi === notes[event.noteIdx].midi)
+          : openTie === notes[event.noteIdx].midi);
+
+        contents.push(noteXml({
+          pitch: isNote ? spelled[event.noteIdx] : null,
+          beats: event.beats,
+          rhythm: event.rhythm,
+          tieStart: isNote && !!event.rhythm.tie,
+          tieStop,
+          tupletStart: tupletStarts.has(k),
+          tupletStop: tupletStops.has(k),
+          lyric: firstPiece ? noteToDegree(notes[event.noteIdx], key) : null
+        }));
+      });
+
+      // a pickup bar stays short; the line's last bar is filled with rests
+      const isPickupBar = m === 0 && pickup > 0;
+      const barLength = isPickupBar ? pickup : measureStart(m + 1, meter, pickup) - measureStart(m, meter, pickup);
+      if (!isPickupBar && filled < barLength - 1e-6) {
+        splitBeats(barLength - filled).forEach((rest) => {
+          contents.push(noteXml({ pitch: null, beats: rhythmBeats(rest), rhythm: rest }));
+        });
+      }
+
+      // an opening pickup is bar 0; later pickup bars are numbered but
+      // don't count as bars
+      const implicit = isPickupBar ? ' implicit="yes"' : "";
+      const measureNumber = isPickupBar && measures.length === 0 ? 0 : number++;
+      measures.push(`<measure number="${measureNumber}"${implicit}>${contents.join("")}</measure>`);
+    }
+
+    const lastNote = [...events].reverse().find((e) => e.type === "note");
+    openTie = lastNote && lastNote.rhythm.tie ? notes[lastNote.noteIdx].midi : null;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+    `<work><work-title>${escapeXml(title)}</work-title></work>`,
+    `<part-list><score-part id="P1"><part-name>${escapeXml(partName)}</part-name></score-part></part-list>`,
+    '<part id="P1">',
+    ...measures,
+    "</part>",
+    "</score-partwise>",
+    ""
+  ].join("\n");
+}
+
+export default { linesToMusicXml };
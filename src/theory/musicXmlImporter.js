@@ -1,53 +1,340 @@
-import { parseNote } from "./noteParser";
-import { buildJazzLine } from "./lineBuilder";
+import { parseNote } from "./noteParser.js";
+import { buildJazzLine } from "./lineBuilder.js";
+import { NOTE_VALUES, TIME_SIGNATURES, rhythmBeats, lineLengthInBeats } from "./timing.js";
+import { spellMidi } from "./pitch.js";
+import { tryParseChordSymbol } from "./chords.js";
+import { keyFromFifths } from "./keySignature.js";
 
-// Parse a MusicXML string and return an array of line objects (one per measure)
-export function parseMusicXmlToLines(xmlString) {
+// MusicXML <type> names and the note values they stand for
+const TYPE_VALUES = { whole: '1', half: '2', quarter: '4', eighth: '8', '16th': '16', '32nd': '32' };
+
+// MusicXML <harmony> kinds as chord-symbol suffixes (see chords.js)
+const HARMONY_KINDS = {
+  major: '',
+  minor: 'm',
+  augmented: 'aug',
+  diminished: 'dim',
+  dominant: '7',
+  'major-seventh': 'maj7',
+  'minor-seventh': 'm7',
+  'diminished-seventh': 'dim7',
+  'augmented-seventh': 'aug7',
+  'half-diminished': 'm7b5',
+  'major-minor': 'mMaj7',
+  'major-sixth': '6',
+  'minor-sixth': 'm6',
+  'dominant-ninth': '9',
+  'major-ninth': 'maj9',
+  'minor-ninth': 'm9',
+  'dominant-11th': '11',
+  'major-11th': 'maj11',
+  'minor-11th': 'm11',
+  'dominant-13th': '13',
+  'major-13th': 'maj13',
+  'minor-13th': 'm13',
+  'suspended-second': 'sus2',
+  'suspended-fourth': 'sus4'
+};
+
+const childText = (el, selector) => el.querySelector(selector)?.textContent?.trim();
+
+function accidentalFor(alter) {
+  return alter > 0 ? "#".repeat(alter) : "b".repeat(-alter);
+}
+
+// Note value (and dots) closest to a length in beats, for notes without a <type>
+function valueForBeats(beats) {
+  let best = { value: '8', dots: 0 };
+  let bestError = Infinity;
+  Object.keys(NOTE_VALUES).forEach((value) => {
+    [0, 1, 2].forEach((dots) => {
+      const error = Math.abs(rhythmBeats({ value, dots }) - beats);
+      if (error < bestError - 1e-9) {
+        best = { value, dots };
+        bestError = error;
+      }
+    });
+  });
+  return best;
+}
+
+// Rhythm of a <note> element: value, dots, tuplet and tie
+function readRhythm(noteEl, divisions, tupletGroup) {
+  const timeModification = noteEl.querySelector("time-modification");
+  const tuplet = timeModification
+    ? {
+        actual: Number(timeModification.querySelector("actual-notes")?.textContent) || 3,
+        normal: Number(timeModification.querySelector("normal-notes")?.textContent) || 2,
+        group: tupletGroup
+      }
+    : null;
+
+  const type = TYPE_VALUES[noteEl.querySelector("type")?.textContent?.trim()];
+  let value = type;
+  let dots = noteEl.querySelectorAll("dot").length;
+  if (!value) {
+    const duration = Number(noteEl.querySelector("duration")?.textContent) || divisions / 2;
+    const beats = (duration / divisions) * (tuplet ? tuplet.actual / tuplet.normal : 1);
+    ({ value, dots } = valueForBeats(beats));
+  }
+
+  const tie = Array.from(noteEl.querySelectorAll("tie")).some((t) => t.getAttribute("type") === "start");
+  return { value, dots, tuplet, tie };
+}
+
+// Pitch of a <note>'s <pitch>; double sharps and flats are respelled since
+// notes carry one accidental at most (F## comes in as G)
+function readPitch(pitchEl) {
+  const step = childText(pitchEl, "step")?.toUpperCase();
+  const octave = childText(pitchEl, "octave");
+  if (!step || !octave) return null;
+
+  const alter = Math.round(Number(childText(pitchEl, "alter")) || 0);
+  if (Math.abs(alter) <= 1) return parseNote(`${step}${alter === 1 ? "#" : alter === -1 ? "B" : ""}${octave}`);
+  return spellMidi(parseNote(`${step}${octave}`).midi + alter, alter < 0);
+}
+
+// Chord symbol text of a <harmony> element ("Dm7", "G7b9", "C/E"), or null
+// for "no chord" and anything that doesn't read as a chord symbol
+function readHarmony(harmonyEl) {
+  const step = childText(harmonyEl, "root-step");
+  const kind = childText(harmonyEl, "kind");
+  if (!step || !(kind in HARMONY_KINDS)) return null;
+
+  const root = `${step.toUpperCase()}${accidentalFor(Math.round(Number(childText(harmonyEl, "root-alter")) || 0))}`;
+  let degrees = Array.from(harmonyEl.querySelectorAll("degree"))
+    .filter((d) => childText(d, "degree-type") !== "subtract")
+    .map((d) => ({ value: childText(d, "degree-value"), alter: Math.round(Number(childText(d, "degree-alter")) || 0) }));
+  // a sus4 chord with an added 7th is a 7sus4
+  let suffix = HARMONY_KINDS[kind];
+  if (kind === "suspended-fourth" && degrees.some((d) => d.value === "7")) {
+    suffix = "7sus4";
+    degrees = degrees.filter((d) => d.value !== "7");
+  }
+  const bassStep = childText(harmonyEl, "bass-step");
+  const bass = bassStep ? `/${bassStep.toUpperCase()}${accidentalFor(Math.round(Number(childText(harmonyEl, "bass-alter")) || 0))}` : "";
+
+  const full = `${root}${suffix}${degrees.map((d) => `${accidentalFor(d.alter)}${d.value}`).join("")}${bass}`;
+  if (tryParseChordSymbol(full)) return full;
+  const plain = `${root}${suffix}${bass}`;
+  return tryParseChordSymbol(plain) ? plain : null;
+}
+
+function restBeats(rests) {
+  return rests.reduce((sum, r) => sum + rhythmBeats(r), 0);
+}
+
+function parseScore(xmlString) {
   const parser = new DOMParser();
   const doc = parser.parseFromString(xmlString, "application/xml");
+  if (doc.querySelector("parsererror")) throw new Error("Not a valid MusicXML file");
+  return doc;
+}
 
-  const measures = Array.from(doc.querySelectorAll("measure"));
-  const lines = [];
+// The parts of a MusicXML score, in score order: [{ id, name }]
+export function musicXmlParts(xmlString) {
+  const doc = parseScore(xmlString);
+  const names = {};
+  Array.from(doc.querySelectorAll("score-part")).forEach((sp) => {
+    names[sp.getAttribute("id")] = childText(sp, "part-name") || childText(sp, "part-abbreviation");
+  });
+  return Array.from(doc.querySelectorAll("part")).map((part, i) => {
+    const id = part.getAttribute("id") || String(i + 1);
+    return { id, name: names[id] || `Part ${i + 1}` };
+  });
+}
 
-  measures.forEach((measure) => {
-    const notes = [];
+// Read the measures of one part of a MusicXML string (`partId`, see
+// musicXmlParts; the first part by default):
+// [{ number, pickup, notes, rests, changes, key, timeSignature, length }].
+// Notes keep their rhythm (note values, dots, tuplets, ties) with the rests
+// before them as `restBefore`; `rests` are the ones after the measure's last
+// note. `changes` are the <harmony> chord symbols by beat within the
+// measure, `key` and `timeSignature` the ones in force, and `length` its
+// length in beats. `pickup` marks an opening pickup measure
+// (implicit="yes"). Only the first voice is read.
+export function readMusicXmlMeasures(xmlString, partId) {
+  const doc = parseScore(xmlString);
+  const parts = Array.from(doc.querySelectorAll("part"));
+  const part = parts.find((p) => partId !== undefined && p.getAttribute("id") === partId) || parts[0];
+  const measureEls = part ? Array.from(part.children).filter((el) => el.tagName === "measure") : [];
 
-    // iterate notes in the measure
-    const noteElements = Array.from(measure.querySelectorAll("note"));
-    noteElements.forEach((noteEl) => {
-      // skip rests
-      if (noteEl.querySelector("rest")) return;
+  let divisions = 1;
+  let voice = null;
+  let tupletGroup = 0;
+  let key;
+  let timeSignature;
+  // without <tuplet> brackets, tuplet notes are grouped by count instead
+  const bracketed = Boolean(part?.querySelector("tuplet"));
 
-      const pitch = noteEl.querySelector("pitch");
-      if (!pitch) return;
+  return measureEls.map((measure, index) => {
+    const notes = [];
+    const changes = [];
+    let rests = [];
+    // where we are in the measure, in divisions (<backup>/<forward> move it)
+    let position = 0;
 
-      const step = pitch.querySelector("step")?.textContent;
-      const alterEl = pitch.querySelector("alter");
-      const alter = alterEl ? Number(alterEl.textContent) : 0;
-      const octave = pitch.querySelector("octave")?.textContent;
+    Array.from(measure.children).forEach((el) => {
+      if (el.tagName === "attributes") {
+        const d = Number(childText(el, "divisions"));
+        if (d > 0) divisions = d;
+        const keyEl = el.querySelector("key");
+        if (keyEl && childText(keyEl, "fifths") !== undefined) {
+          key = keyFromFifths(Number(childText(keyEl, "fifths")) || 0, childText(keyEl, "mode"));
+        }
+        const timeEl = el.querySelector("time");
+        if (timeEl) {
+          const id = `${childText(timeEl, "beats")}/${childText(timeEl, "beat-type")}`;
+          timeSignature = TIME_SIGNATURES.some((t) => t.id === id) ? id : undefined;
+        }
+        return;
+      }
+      if (el.tagName === "backup" || el.tagName === "forward") {
+        const duration = Number(childText(el, "duration")) || 0;
+        position += el.tagName === "backup" ? -duration : duration;
+        return;
+      }
+      if (el.tagName === "harmony") {
+        const symbol = readHarmony(el);
+        const offset = Number(childText(el, "offset")) || 0;
+        if (symbol) changes.push({ beat: Math.max(0, (position + offset) / divisions), symbol });
+        return;
+      }
+      if (el.tagName !== "note") return;
+      const noteEl = el;
 
-      if (!step || !octave) return;
+      // chord members and grace notes don't take time on the line
+      if (noteEl.querySelector("chord") || noteEl.querySelector("grace")) return;
+      const duration = Number(childText(noteEl, "duration")) || 0;
+      position += duration;
+      const noteVoice = childText(noteEl, "voice") || "1";
+      if (voice === null) voice = noteVoice;
+      if (noteVoice !== voice) return;
 
-      // MusicXML alter: 1 -> sharp, -1 -> flat
-      const accidentalStr = alter === 1 ? "#" : alter === -1 ? "B" : "";
+      if (Array.from(noteEl.querySelectorAll("tuplet")).some((t) => t.getAttribute("type") === "start")) tupletGroup++;
+      const rhythm = readRhythm(noteEl, divisions, bracketed ? tupletGroup : undefined);
 
-      // Build a string compatible with parseNote (e.g. A#4 or EB5)
-      const noteStr = `${step.toUpperCase()}${accidentalStr}${octave}`;
+      if (noteEl.querySelector("rest")) {
+        rests.push({ value: rhythm.value, dots: rhythm.dots, tuplet: rhythm.tuplet });
+        return;
+      }
+
+      const pitch = noteEl.querySelector("pitch");
+      if (!pitch) return;
 
       try {
-        const noteObj = parseNote(noteStr);
-        notes.push(noteObj);
+        const noteObj = readPitch(pitch);
+        if (!noteObj) return;
+        notes.push({ ...noteObj, rhythm: { ...rhythm, restBefore: rests, restAfter: [] } });
+        rests = [];
       } catch (e) {
         // ignore unparsable notes
-        console.warn("Skipping note in MusicXML: ", noteStr, e.message);
+        console.warn("Skipping note in MusicXML: ", e.message);
       }
     });
 
-    if (notes.length > 0) {
-      const line = buildJazzLine(notes);
-      lines.push(line);
+    return {
+      number: measure.getAttribute("number") || String(index + 1),
+      pickup: index === 0 && measure.getAttribute("implicit") === "yes",
+      notes,
+      rests,
+      changes,
+      key,
+      timeSignature,
+      length: lineLengthInBeats(notes) + restBeats(rests)
+    };
+  });
+}
+
+// One line per measure, with an opening pickup measure joined to the
+// measure after it
+export function defaultMeasureGroups(measures) {
+  const groups = [];
+  let from = 0;
+  while (from < measures.length) {
+    const to = measures[from].pickup && from + 1 < measures.length ? from + 1 : from;
+    groups.push({ from, to });
+    from = to + 1;
+  }
+  return groups;
+}
+
+// Read measure ranges typed as "1-4, 5-8, 9" (measures counted from 1 in
+// file order) into groups [{ from, to }] of measure indices. Blank text
+// means the default grouping (null).
+export function parseMeasureRanges(text, measureCount) {
+  const tokens = String(text || '').split(/[\s,;]+/).filter((t) => t.length > 0);
+  if (tokens.length === 0) return null;
+
+  return tokens.map((token) => {
+    const m = token.match(/^(\d+)(?:-(\d+))?$/);
+    const from = m ? Number(m[1]) : NaN;
+    const to = m && m[2] !== undefined ? Number(m[2]) : from;
+    if (!(from >= 1 && to >= from && to <= measureCount)) {
+      throw new Error(`Invalid measure range: ${token} (the file has ${measureCount} measures)`);
     }
+    return { from: from - 1, to: to - 1 };
   });
+}
+
+// Join groups of measures ([{ from, to }], see parseMeasureRanges) into
+// lines. A line takes the key and time signature of its first measure and
+// the chord symbols of all of them; a pickup measure that opens a longer
+// group becomes the line's pickup.
+export function measuresToLines(measures, groups = defaultMeasureGroups(measures)) {
+  const lines = [];
+  groups.forEach(({ from, to }) => {
+    const bars = measures.slice(from, to + 1);
+    const notes = [];
+    const changes = [];
+    let pending = [];
+    let beat = 0;
+    let pickup = 0;
 
+    bars.forEach((bar, b) => {
+      let barNotes = bar.notes;
+      let skipped = 0;
+      // leading rests of a pickup bar are just the silence before it
+      if (b === 0 && bar.pickup && bars.length > 1 && barNotes.length > 0) {
+        skipped = restBeats(barNotes[0].rhythm.restBefore);
+        barNotes = [{ ...barNotes[0], rhythm: { ...barNotes[0].rhythm, restBefore: [] } }, ...barNotes.slice(1)];
+        pickup = bar.length - skipped;
+      }
+
+      bar.changes.forEach((c) => changes.push({ beat: Math.max(0, beat + c.beat - skipped), symbol: c.symbol }));
+
+      // rests carry over to the next note (an empty bar is all rest)
+      barNotes.forEach((note, i) => {
+        notes.push(i === 0 && pending.length > 0
+          ? { ...note, rhythm: { ...note.rhythm, restBefore: [...pending, ...note.rhythm.restBefore] } }
+          : note);
+        if (i === 0) pending = [];
+      });
+      pending = [...pending, ...bar.rests];
+      beat += bar.length - skipped;
+    });
+
+    if (notes.length === 0) return;
+    if (pending.length > 0) {
+      const last = notes[notes.length - 1];
+      notes[notes.length - 1] = { ...last, rhythm: { ...last.rhythm, restAfter: pending } };
+    }
+
+    const line = buildJazzLine(notes, -1, bars[0].key, pickup);
+    if (bars[0].timeSignature && bars[0].timeSignature !== '4/4') line.timeSignature = bars[0].timeSignature;
+    if (changes.length > 0) line.changes = changes;
+    lines.push(line);
+  });
   return lines;
 }
+
+// Parse a MusicXML string and return an array of line objects. `groups`
+// picks which measures make up each line ([{ from, to }] measure indices,
+// see parseMeasureRanges); by default each measure is a line of its own.
+// `partId` picks the part (see musicXmlParts).
+export function parseMusicXmlToLines(xmlString, groups, partId) {
+  const measures = readMusicXmlMeasures(xmlString, partId);
+  return measuresToLines(measures, groups || undefined);
+}
+
+export default { musicXmlParts, readMusicXmlMeasures, defaultMeasureGroups, parseMeasureRanges, measuresToLines, parseMusicXmlToLines };
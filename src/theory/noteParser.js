@@ -1,12 +1,4 @@
-const LETTER_TO_SEMITONE = {
-  C: 0,
-  D: 2,
-  E: 4,
-  F: 5,
-  G: 7,
-  A: 9,
-  B: 11
-};
+import { LETTER_TO_SEMITONE } from "./pitch.js";
 
 export function parseNote(noteStr) {
   // Expect format like A5, F#4, EB5
@@ -0,0 +1,114 @@
+// Pitch-name spelling helpers and letter tables shared by the theory modules
+
+export const LETTERS = ["C", "D", "E", "F", "G", "A", "B"];
+
+export const LETTER_TO_SEMITONE = {
+  C: 0,
+  D: 2,
+  E: 4,
+  F: 5,
+  G: 7,
+  A: 9,
+  B: 11
+};
+
+function mod(n, m) {
+  return ((n % m) + m) % m;
+}
+
+// Parse a pitch name like "Bb" or "F#" into { letter, accidental }
+export function parsePitchName(name) {
+  const m = String(name || "").trim().match(/^([A-Ga-g])(#{1,2}|b{1,2})?$/);
+  if (!m) throw new Error(`Invalid pitch name: ${name}`);
+  return { letter: m[1].toUpperCase(), accidental: m[2] || "" };
+}
+
+function accidentalOffset(accidental) {
+  if (accidental === "#" || accidental === "##") return accidental.length;
+  if (accidental === "b" || accidental === "bb") return -accidental.length;
+  return 0;
+}
+
+export function pitchNameToSemitone(name) {
+  const { letter, accidental } = parsePitchName(name);
+  return mod(LETTER_TO_SEMITONE[letter] + accidentalOffset(accidental), 12);
+}
+
+// Interval between two tonics as { semitones, letterSteps }, taking the
+// nearest direction (at most a tritone up, otherwise down) so transposed
+// lines stay in roughly the same register.
+export function intervalBetweenTonics(fromTonic, toTonic) {
+  const from = parsePitchName(fromTonic);
+  const to = parsePitchName(toTonic);
+
+  let semitones = mod(pitchNameToSemitone(toTonic) - pitchNameToSemitone(fromTonic), 12);
+  let letterSteps = mod(LETTERS.indexOf(to.letter) - LETTERS.indexOf(from.letter), 7);
+
+  if (semitones > 6) {
+    semitones -= 12;
+    letterSteps -= 7;
+  }
+  // Unison with a letter change (e.g. F# -> Gb) stays put
+  if (semitones === 0 && letterSteps > 3) letterSteps -= 7;
+
+  return { semitones, letterSteps };
+}
+
+// Spell a MIDI number with a single accidental at most, preferring flats
+// or sharps as requested.
+export function spellMidi(midi, preferFlats) {
+  const pc = mod(midi, 12);
+  const candidates = [];
+  LETTERS.forEach((letter) => {
+    const alter = mod(pc - LETTER_TO_SEMITONE[letter] + 6, 12) - 6;
+    if (Math.abs(alter) <= 1) candidates.push({ letter, alter });
+  });
+  candidates.sort((a, b) => {
+    if (Math.abs(a.alter) !== Math.abs(b.alter)) return Math.abs(a.alter) - Math.abs(b.alter);
+    return preferFlats ? a.alter - b.alter : b.alter - a.alter;
+  });
+  const { letter, alter } = candidates[0];
+  return {
+    letter,
+    accidental: alter === 1 ? "#" : alter === -1 ? "b" : "",
+    octave: Math.floor((midi - LETTER_TO_SEMITONE[letter] - alter) / 12) - 1,
+    midi
+  };
+}
+
+// Move a note by a diatonic interval. The letter moves by `letterSteps` and
+// the pitch by `semitones`, so spelling follows the interval (C -> Eb is a
+// minor third, never D#). Results that would need a double accidental are
+// respelled enharmonically since the note model only supports one.
+export function transposeNote(note, semitones, letterSteps) {
+  const letterIdx = LETTERS.indexOf(note.letter);
+  const diatonic = note.octave * 7 + letterIdx + letterSteps;
+  const letter = LETTERS[mod(diatonic, 7)];
+  const octave = Math.floor(diatonic / 7);
+  const midi = note.midi + semitones;
+  const alter = midi - ((octave + 1) * 12 + LETTER_TO_SEMITONE[letter]);
+
+  if (Math.abs(alter) > 1) {
+    return { ...note, ...spellMidi(midi, alter < 0) };
+  }
+
+  return {
+    ...note,
+    letter,
+    accidental: alter === 1 ? "#" : alter === -1 ? "b" : "",
+    octave,
+    midi
+  };
+}
+
+// Transpose a pitch name (e.g. a chord root) from one tonic to another
+export function transposePitchName(name, fromTonic, toTonic) {
+  const { semitones, letterSteps } = intervalBetweenTonics(fromTonic, toTonic);
+  const { letter, accidental } = parsePitchName(name);
+  const moved = transposeNote(
+    { letter, accidental, octave: 4, midi: 60 + LETTER_TO_SEMITONE[letter] + accidentalOffset(accidental) },
+    semitones,
+    letterSteps
+  );
+  return `${moved.letter}${moved.accidental}`;
+}
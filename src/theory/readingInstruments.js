@@ -0,0 +1,48 @@
+import { parsePitchName, pitchNameToSemitone, transposeNote } from "./pitch.js";
+import { transposeChordSymbol } from "./chords.js";
+
+// Parts as the player reads them: how far above concert pitch the part is
+// written (as a diatonic interval, so spelling follows) and in which clef.
+// Bass-clef parts are written an octave down so treble-range lines sit on
+// the staff.
+export const READING_INSTRUMENTS = [
+  { id: 'concert', label: 'Concert pitch (C)', clef: 'treble', semitones: 0, letterSteps: 0 },
+  { id: 'bb', label: 'Bb trumpet / clarinet / soprano sax', clef: 'treble', semitones: 2, letterSteps: 1 },
+  { id: 'bb-tenor', label: 'Bb tenor sax', clef: 'treble', semitones: 14, letterSteps: 8 },
+  { id: 'eb-alto', label: 'Eb alto sax', clef: 'treble', semitones: 9, letterSteps: 5 },
+  { id: 'eb-bari', label: 'Eb baritone sax', clef: 'treble', semitones: 21, letterSteps: 12 },
+  { id: 'f-horn', label: 'F horn', clef: 'treble', semitones: 7, letterSteps: 4 },
+  { id: 'bass-clef', label: 'Trombone / bass (bass clef, 8vb)', clef: 'bass', semitones: -12, letterSteps: -7 }
+];
+
+export function readingInstrument(id) {
+  return READING_INSTRUMENTS.find((i) => i.id === id) || READING_INSTRUMENTS[0];
+}
+
+// A concert-pitch note as written for the instrument
+export function writtenNote(note, id) {
+  const { semitones, letterSteps } = readingInstrument(id);
+  if (semitones === 0 && letterSteps === 0) return note;
+  return transposeNote(note, semitones, letterSteps);
+}
+
+// A concert pitch name (a tonic or chord root) as written for the instrument
+export function writtenPitchName(name, id) {
+  const { letter, accidental } = parsePitchName(name);
+  const natural = pitchNameToSemitone(letter);
+  const alter = ((pitchNameToSemitone(name) - natural + 6) % 12 + 12) % 12 - 6;
+  const moved = writtenNote({ letter, accidental, octave: 4, midi: 60 + natural + alter }, id);
+  return `${moved.letter}${moved.accidental}`;
+}
+
+// A concert chord symbol as written for the instrument
+export function writtenChordSymbol(text, id) {
+  if (readingInstrument(id).semitones % 12 === 0) return text;
+  try {
+    return transposeChordSymbol(text, 'C', writtenPitchName('C', id));
+  } catch {
+    return text;
+  }
+}
+
+export default { READING_INSTRUMENTS, readingInstrument, writtenNote, writtenPitchName, writtenChordSymbol };
@@ -0,0 +1,61 @@
+import { lineEvents, lineTuplets, lineMeter, swingBeat, STRAIGHT } from "./timing.js";
+import { lineChanges } from "./chords.js";
+
+// Lay a sequence of lines out on the beat grid: note events [{ lineIdx,
+// noteIdx, note, beat, beats }], the chord timeline [{ beat, beats, symbol }]
+// the total length in beats and the first line's `meter` (its time
+// signature, which sets the count-in and click). `noteBeats` is the length of one plain
+// note (an eighth is half a beat) and scales every rhythm. Bars count from
+// `downbeat`, the beat 1 after the first line's pickup; tuplets stay
+// straight and everything else is swung. Tied notes sound as one event,
+// rests as silence.
+export function buildSchedule(sequence, { swing = STRAIGHT } = {}, noteBeats = 0.5) {
+  const scale = noteBeats / 0.5;
+  const events = [];
+  const chords = [];
+  const downbeat = (sequence[0]?.pickup ?? 0) * scale;
+  const meter = lineMeter(sequence[0]);
+  let offset = 0;
+  // event the last note is tied into, which may be in the line before
+  let tied = null;
+
+  sequence.forEach((line, lineIdx) => {
+    const notes = line.notes || [];
+    const items = lineEvents(notes, lineTuplets(line));
+    const place = (item) => {
+      const straight = offset + item.beat * scale;
+      return item.rhythm.tuplet ? straight : downbeat + swingBeat(straight - downbeat, swing);
+    };
+
+    const lineBeats = items.reduce((sum, item) => sum + item.beats, 0) * scale;
+    items.forEach((item, k) => {
+      if (item.type === 'rest') {
+        tied = null;
+        return;
+      }
+      const note = notes[item.noteIdx];
+      const beat = place(item);
+      const end = k + 1 < items.length ? place(items[k + 1]) : offset + lineBeats;
+      let event = tied && tied.note.midi === note.midi ? tied : null;
+      if (event) {
+        event.beats = end - event.beat;
+      } else {
+        event = { lineIdx, noteIdx: item.noteIdx, note, beat, beats: end - beat };
+        events.push(event);
+      }
+      tied = item.rhythm.tie ? event : null;
+    });
+
+    const changes = lineChanges(line);
+    changes.forEach((c, i) => {
+      const start = c.beat * scale;
+      const end = i + 1 < changes.length ? changes[i + 1].beat * scale : lineBeats;
+      if (start < lineBeats) chords.push({ beat: offset + start, beats: Math.min(end, lineBeats) - start, symbol: c.symbol });
+    });
+    offset += lineBeats;
+  });
+
+  return { events, chords, totalBeats: offset, downbeat, meter };
+}
+
+export default { buildSchedule };
@@ -0,0 +1,136 @@
+import { FUNCTION_CATEGORIES, functionCategory, lineChanges, tryParseChordSymbol } from "./chords.js";
+import { lineLengthInBeats, lineTuplets, lineMeter, barBeats } from "./timing.js";
+
+// Builds sequences by walking a connection graph (see connectionGraph.js).
+// Sequences are arrays of indices into graph.lines; both modes also report
+// whether the search ran out of steps (`exhausted`) before it was done.
+
+// Upper bound on search steps, so a dense library can't hang the page
+const DEFAULT_BUDGET = 50000;
+
+// Small seeded PRNG (mulberry32): the same seed always yields the same
+// sequence, which makes a generated practice routine reproducible.
+export function createRandom(seed = 1) {
+  let a = (Number(seed) >>> 0) || 1;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffled(items, random) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// One progression step per line, separated by bars: "Major ii-v | Dm7 G7 | *".
+// A step is a function category, chord symbols, or "*" for anything.
+export function parseProgression(text) {
+  if (!text || !text.trim()) return [];
+  return text.split('|').map((s) => s.trim());
+}
+
+function sameChord(a, b) {
+  return a.rootPc === b.rootPc && a.quality === b.quality;
+}
+
+// Whether a line fits one progression step
+export function lineMatchesStep(line, step) {
+  if (!step || step === '*') return true;
+  const category = FUNCTION_CATEGORIES.find((c) => c.toLowerCase() === step.toLowerCase());
+  if (category) return functionCategory(lineChanges(line)) === category;
+
+  const wanted = step.split(/\s+/).map(tryParseChordSymbol);
+  if (wanted.some((c) => !c)) return false;
+  const actual = lineChanges(line).map((c) => tryParseChordSymbol(c.symbol));
+  return wanted.length <= actual.length && wanted.every((c, i) => actual[i] && sameChord(c, actual[i]));
+}
+
+// Target length is either a line count (`length`) or a number of
+// measures (`measures`), filled by the lines' own durations in their own
+// time signatures.
+function makeTarget(lines, { length = 4, measures = null }) {
+  if (measures) {
+    const lineMeasures = lines.map((l) => lineLengthInBeats(l.notes, lineTuplets(l)) / barBeats(lineMeter(l)) || 1);
+    return {
+      isComplete: (path) => path.reduce((sum, i) => sum + lineMeasures[i], 0) >= measures - 1e-6,
+      maxLines: Math.ceil(measures / Math.min(...lineMeasures, 1)) + 1
+    };
+  }
+  return { isComplete: (path) => path.length >= length, maxLines: length };
+}
+
+// Depth-first search over the graph. `order(candidates)` decides in which
+// order branches are tried; `onComplete(path)` returns true to stop. With
+// `partial`, every path of two or more lines on the way to the target is
+// passed to onComplete as well. Returns true when the step budget ran out.
+function search(graph, options, order, onComplete, partial = false) {
+  const { progression = [], allowDuplicates = false, budget = DEFAULT_BUDGET } = options;
+  const { lines, edges } = graph;
+  const target = makeTarget(lines, options);
+  let steps = 0;
+  let exhausted = false;
+
+  const fits = (index, position) => lineMatchesStep(lines[index], progression[position]);
+
+  const extend = (path) => {
+    if (target.isComplete(path)) return onComplete([...path]);
+    if (partial && path.length >= 2 && onComplete([...path])) return true;
+    if (path.length >= target.maxLines) return false;
+    if (++steps > budget) {
+      exhausted = true;
+      return true;
+    }
+    const last = path[path.length - 1];
+    const next = edges[last]
+      .map((e) => e.to)
+      .filter((to) => (allowDuplicates || !path.includes(to)) && fits(to, path.length));
+    for (const to of order(next)) {
+      path.push(to);
+      const stop = extend(path);
+      path.pop();
+      if (stop) return true;
+    }
+    return false;
+  };
+
+  const starts = lines.map((_, i) => i).filter((i) => fits(i, 0));
+  for (const start of order(starts)) {
+    if (extend([start])) break;
+  }
+  return exhausted;
+}
+
+// One sequence chosen at random (seeded), backtracking out of dead ends:
+// { sequence, exhausted }. `sequence` is null when no sequence satisfies
+// the options, or when the search gave up first (`exhausted`).
+export function randomSequence(graph, options = {}) {
+  const random = createRandom(options.seed);
+  let sequence = null;
+  const exhausted = search(graph, options, (items) => shuffled(items, random), (path) => {
+    sequence = path;
+    return true;
+  });
+  return { sequence, exhausted };
+}
+
+// Every sequence up to the target length (from two lines on), in library
+// order, up to `limit` results: { sequences, exhausted }.
+export function enumerateSequences(graph, options = {}) {
+  const { limit = 200 } = options;
+  const sequences = [];
+  const exhausted = search(graph, options, (items) => items, (path) => {
+    sequences.push(path);
+    return sequences.length >= limit;
+  }, true);
+  return { sequences, exhausted };
+}
+
+export default { createRandom, parseProgression, lineMatchesStep, randomSequence, enumerateSequences };
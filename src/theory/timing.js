@@ -0,0 +1,295 @@
+// Rhythmic position of the notes in a line, in quarter-note beats.
+//
+// A note may carry a `rhythm`:
+//   { value: '8', dots: 0, tuplet: null, tie: false, restBefore: [], restAfter: [] }
+// `value` is the written note value ('1' whole, '2', '4', '8', '16', '32'),
+// `tuplet` is { actual: 3, normal: 2, group } (notes sharing a `group` form
+// one bracket), `tie` ties the note into the next one, and `restBefore` /
+// `restAfter` are rests ({ value, dots, tuplet }) sounding around the note.
+// Notes without a rhythm are eighths, except inside the line's tuplet
+// groups: `tuplets` is [{ start, actual, normal, value }], `actual` notes of
+// `value` from note `start` in the time of `normal` (an eighth-note triplet
+// is { actual: 3, normal: 2, value: '8' }). Lines from before tuplet groups
+// only have a `tripletStartIndex`; the functions below take either.
+//
+// Beats are counted from the start of the line (its first note or rest). A
+// line's `pickup` is how many of those beats come before beat 1 of the bar.
+
+export const NOTE_VALUES = { '1': 4, '2': 2, '4': 1, '8': 0.5, '16': 0.25, '32': 0.125 };
+
+const EIGHTH = { value: '8', dots: 0, tuplet: null, tie: false, restBefore: [], restAfter: [] };
+
+// Tuplet groups a line can hold, each spanning one beat
+export const TUPLET_RATIOS = [
+  { id: '3:2', label: 'Triplet (3:2)', actual: 3, normal: 2, value: '8' },
+  { id: '5:4', label: 'Quintuplet (5:4)', actual: 5, normal: 4, value: '16' },
+  { id: '6:4', label: 'Sextuplet (6:4)', actual: 6, normal: 4, value: '16' }
+];
+
+// Tuplet groups from a line's `tuplets` list or a legacy tripletStartIndex
+export function tupletList(tuplets = []) {
+  if (Array.isArray(tuplets)) return tuplets;
+  return typeof tuplets === 'number' && tuplets >= 0 ? [{ start: tuplets, actual: 3, normal: 2, value: '8' }] : [];
+}
+
+// A line's tuplet groups; the list derived from an old tripletStartIndex is
+// kept per line so views get the same array on every render
+const legacyTuplets = new WeakMap();
+export function lineTuplets(line) {
+  if (!line) return [];
+  if (Array.isArray(line.tuplets)) return line.tuplets;
+  if (!legacyTuplets.has(line)) legacyTuplets.set(line, tupletList(line.tripletStartIndex ?? -1));
+  return legacyTuplets.get(line);
+}
+
+// Start of the first eighth-note triplet, as older code reads it (-1 if none)
+export function tripletStartOf(tuplets = []) {
+  const triplet = tupletList(tuplets).find((t) => t.actual === 3 && t.normal === 2);
+  return triplet ? triplet.start : -1;
+}
+
+// Length in beats of a note value with its dots and tuplet ratio
+export function rhythmBeats({ value = '8', dots = 0, tuplet = null } = {}) {
+  const base = NOTE_VALUES[value] ?? NOTE_VALUES['8'];
+  const dotted = base * (2 - 1 / 2 ** dots);
+  return tuplet ? (dotted * tuplet.normal) / tuplet.actual : dotted;
+}
+
+// Whether `group` lies on `line` without overlapping any group in
+// `others` or crossing one of the line's barlines
+function tupletFits(group, others, line) {
+  const notes = line.notes || [];
+  if (group.start < 0 || group.start + group.actual > notes.length) return false;
+  if (!others.every((t) => group.start + group.actual <= t.start || t.start + t.actual <= group.start)) return false;
+  const inGroup = lineEvents(notes, [...others, group])
+    .filter((e) => e.noteIdx >= group.start && e.noteIdx < group.start + group.actual);
+  const first = inGroup[0];
+  const last = inGroup[inGroup.length - 1];
+  const meter = lineMeter(line);
+  const pickup = line.pickup ?? 0;
+  return last.beat + last.beats <= measureStart(measureAt(first.beat, meter, pickup) + 1, meter, pickup) + 1e-6;
+}
+
+// The groups with a new `ratioId` group at the latest free spot on `line`,
+// or unchanged when there is no room
+export function addTuplet(tuplets = [], ratioId = '3:2', line = {}) {
+  const groups = tupletList(tuplets);
+  const { actual, normal, value } = TUPLET_RATIOS.find((r) => r.id === ratioId) || TUPLET_RATIOS[0];
+  for (let start = (line.notes?.length ?? 0) - actual; start >= 0; start--) {
+    const group = { start, actual, normal, value };
+    if (tupletFits(group, groups, line)) return [...groups, group].sort((x, y) => x.start - y.start);
+  }
+  return groups;
+}
+
+// The groups with group `idx` moved by `delta` notes along `line`, skipping
+// over spots where it would run off the line, into another group or across
+// a barline
+export function moveTuplet(tuplets = [], idx = 0, delta = 0, line = {}) {
+  const groups = tupletList(tuplets);
+  const others = groups.filter((_, i) => i !== idx);
+  const step = Math.sign(delta);
+  if (!groups[idx] || step === 0) return groups;
+  for (let start = groups[idx].start + delta; start >= 0 && start < (line.notes?.length ?? 0); start += step) {
+    const group = { ...groups[idx], start };
+    if (tupletFits(group, others, line)) return [...others, group].sort((x, y) => x.start - y.start);
+  }
+  return groups;
+}
+
+// The rhythm of every note, with defaults filled in. A note's own rhythm
+// wins, so `tuplets` only shapes notes that have none.
+export function noteRhythms(notes = [], tuplets = []) {
+  const groups = tupletList(tuplets);
+  return notes.map((note, i) => {
+    if (note && note.rhythm) return { ...EIGHTH, ...note.rhythm };
+    const group = groups.findIndex((t) => i >= t.start && i < t.start + t.actual);
+    if (group < 0) return EIGHTH;
+    const { actual, normal, value = '8' } = groups[group];
+    return { ...EIGHTH, value, tuplet: { actual, normal, group: `line-${group}` } };
+  });
+}
+
+// Notes and rests in order: [{ type: 'note' | 'rest', noteIdx, beat, beats,
+// rhythm }]. A rest's `noteIdx` is the note it is attached to.
+export function lineEvents(notes = [], tuplets = []) {
+  const events = [];
+  let cursor = 0;
+  const push = (type, noteIdx, rhythm) => {
+    const beats = rhythmBeats(rhythm);
+    events.push({ type, noteIdx, beat: cursor, beats, rhythm });
+    cursor += beats;
+  };
+
+  noteRhythms(notes, tuplets).forEach((rhythm, i) => {
+    (rhythm.restBefore || []).forEach((r) => push('rest', i, r));
+    push('note', i, rhythm);
+    (rhythm.restAfter || []).forEach((r) => push('rest', i, r));
+  });
+  return events;
+}
+
+// Tuplet brackets as runs of event indices. Events with the same `group`
+// share a bracket; without a group every `actual` events make one.
+export function tupletGroups(events = []) {
+  const groups = [];
+  let current = null;
+  events.forEach((event, idx) => {
+    const tuplet = event.rhythm.tuplet;
+    if (!tuplet) {
+      current = null;
+      return;
+    }
+    const sameGroup = current && (tuplet.group !== undefined
+      ? tuplet.group === current.group
+      : current.group === undefined && current.indices.length < tuplet.actual);
+    if (!sameGroup) {
+      current = { group: tuplet.group, tuplet, indices: [] };
+      groups.push(current);
+    }
+    current.indices.push(idx);
+  });
+  return groups.map(({ tuplet, indices }) => ({ tuplet, indices }));
+}
+
+export function noteDurations(notes = [], tuplets = []) {
+  return noteRhythms(notes, tuplets).map(rhythmBeats);
+}
+
+// Beat on which each note starts
+export function noteOnsets(notes = [], tuplets = []) {
+  return lineEvents(notes, tuplets)
+    .filter((e) => e.type === 'note')
+    .map((e) => e.beat);
+}
+
+export function lineLengthInBeats(notes = [], tuplets = []) {
+  return lineEvents(notes, tuplets).reduce((sum, e) => sum + e.beats, 0);
+}
+
+// Index of the first note sounding at or after `beat`, or -1 past the end
+export function noteIndexAtBeat(notes = [], tuplets = [], beat = 0) {
+  const onsets = noteOnsets(notes, tuplets);
+  return onsets.findIndex((o) => o >= beat - 1e-6);
+}
+
+// Time signatures a line can be in (its `timeSignature`, 4/4 when unset).
+// `beamBeats` is how many quarter beats one beam group spans.
+export const TIME_SIGNATURES = [
+  { id: '4/4', beats: 4, beatValue: 4, beamBeats: 2 },
+  { id: '3/4', beats: 3, beatValue: 4, beamBeats: 1 },
+  { id: '5/4', beats: 5, beatValue: 4, beamBeats: 1 },
+  { id: '2/4', beats: 2, beatValue: 4, beamBeats: 1 },
+  { id: '6/8', beats: 6, beatValue: 8, beamBeats: 1.5 },
+  { id: '12/8', beats: 12, beatValue: 8, beamBeats: 1.5 }
+];
+
+export function timeSignature(id) {
+  return TIME_SIGNATURES.find((t) => t.id === id) || TIME_SIGNATURES[0];
+}
+
+export function lineMeter(line) {
+  return timeSignature(line?.timeSignature);
+}
+
+// Length of one bar in quarter beats
+export function barBeats(meter = TIME_SIGNATURES[0]) {
+  return (meter.beats * 4) / meter.beatValue;
+}
+
+// Note values (longest first, dotted where that fits) adding up to `beats`
+export function splitBeats(beats) {
+  const values = Object.keys(NOTE_VALUES)
+    .flatMap((value) => [1, 0].map((dots) => ({ value, dots })))
+    .sort((x, y) => rhythmBeats(y) - rhythmBeats(x));
+  const parts = [];
+  let left = beats;
+  while (left > 1e-6) {
+    const part = values.find((v) => rhythmBeats(v) <= left + 1e-6);
+    if (!part) break;
+    parts.push(part);
+    left -= rhythmBeats(part);
+  }
+  return parts;
+}
+
+// Beat (from the start of the line) on which bar `m` begins; with a pickup,
+// bar 0 is the pickup bar
+export function measureStart(m, meter = TIME_SIGNATURES[0], pickup = 0) {
+  if (pickup <= 0) return m * barBeats(meter);
+  return m === 0 ? 0 : pickup + (m - 1) * barBeats(meter);
+}
+
+// The bar `beat` falls in (see measureStart)
+function measureAt(beat, meter = TIME_SIGNATURES[0], pickup = 0) {
+  const bar = barBeats(meter);
+  if (pickup <= 0) return Math.floor((beat + 1e-6) / bar);
+  return beat < pickup - 1e-6 ? 0 : 1 + Math.floor((beat - pickup + 1e-6) / bar);
+}
+
+// lineEvents cut into bars: every event gets a `measure` index, and notes
+// and rests that cross a barline are split into tied pieces (`continued`
+// on all but the first). With a pickup, measure 0 is the short pickup bar.
+// Tuplets are kept whole in the bar they start in (addTuplet and moveTuplet
+// keep groups from crossing a barline in the first place).
+export function measureEvents(notes = [], tuplets = [], meter = TIME_SIGNATURES[0], pickup = 0) {
+  const measureEnd = (m) => measureStart(m + 1, meter, pickup);
+  const events = lineEvents(notes, tuplets);
+  const tupletMeasure = new Map();
+  tupletGroups(events).forEach(({ indices }) => {
+    indices.forEach((k) => tupletMeasure.set(k, measureAt(events[indices[0]].beat, meter, pickup)));
+  });
+
+  const result = [];
+  events.forEach((event, k) => {
+    const measure = tupletMeasure.get(k) ?? measureAt(event.beat, meter, pickup);
+    if (event.rhythm.tuplet || event.beat + event.beats <= measureEnd(measure) + 1e-6) {
+      result.push({ ...event, measure, continued: false });
+      return;
+    }
+
+    // split at each barline, then into writable note values
+    const pieces = [];
+    let start = event.beat;
+    const end = event.beat + event.beats;
+    while (end - start > 1e-6) {
+      const m = measureAt(start, meter, pickup);
+      const stop = Math.min(end, measureEnd(m));
+      splitBeats(stop - start).forEach(({ value, dots }) => {
+        pieces.push({ beat: start, measure: m, value, dots });
+        start += rhythmBeats({ value, dots });
+      });
+      start = stop;
+    }
+    pieces.forEach((piece, k) => {
+      const last = k === pieces.length - 1;
+      result.push({
+        ...event,
+        beat: piece.beat,
+        beats: rhythmBeats(piece),
+        measure: piece.measure,
+        continued: k > 0,
+        rhythm: {
+          ...event.rhythm,
+          value: piece.value,
+          dots: piece.dots,
+          tie: event.type === 'note' && (!last || event.rhythm.tie)
+        }
+      });
+    });
+  });
+  return result;
+}
+
+// Straight eighths sit halfway through the beat; a swing ratio moves the
+// offbeat later. 0.5 is straight, 2/3 is hard triplet swing. Maps a beat
+// position (straight) to where it falls with swing.
+export const STRAIGHT = 0.5;
+export const TRIPLET_SWING = 2 / 3;
+
+export function swingBeat(beat, ratio = STRAIGHT) {
+  const whole = Math.floor(beat + 1e-9);
+  const frac = beat - whole;
+  if (frac < STRAIGHT) return whole + frac * (ratio / STRAIGHT);
+  return whole + ratio + (frac - STRAIGHT) * ((1 - ratio) / (1 - STRAIGHT));
+}
@@ -0,0 +1,69 @@
+import { buildJazzLine } from "./lineBuilder.js";
+import { normalizeKey } from "./degrees.js";
+import { lineTuplets } from "./timing.js";
+import { intervalBetweenTonics, parsePitchName, pitchNameToSemitone, transposeNote, transposePitchName } from "./pitch.js";
+import { transposeChordSymbol } from "./chords.js";
+
+// The twelve practice keys, spelled the way lead sheets usually spell them
+export const KEYS = ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"];
+
+// Order used when drilling a line through all 12 keys
+export const CYCLE_OF_FOURTHS = ["C", "F", "Bb", "Eb", "Ab", "Db", "Gb", "B", "E", "A", "D", "G"];
+
+export function lineTonic(line) {
+  return normalizeKey(line?.key).tonic;
+}
+
+// Transpose a whole line into `toTonic`. Degrees are relative to the tonic,
+// so they carry over unchanged; explicit chord changes move with the notes
+// and everything else is preserved.
+export function transposeLine(line, toTonic) {
+  if (!line || !Array.isArray(line.notes)) return line;
+  const fromTonic = lineTonic(line);
+  const { semitones, letterSteps } = intervalBetweenTonics(fromTonic, toTonic);
+
+  const notes = line.notes.map((n) => transposeNote(n, semitones, letterSteps));
+  const transposed = buildJazzLine(notes, lineTuplets(line), { ...normalizeKey(line.key), tonic: toTonic }, line.pickup ?? 0);
+
+  const preservedKeys = Object.keys(line).filter((k) => !(k in transposed));
+  preservedKeys.forEach((k) => { transposed[k] = line[k]; });
+  if (Array.isArray(line.changes)) {
+    transposed.changes = line.changes.map((c) => ({ ...c, symbol: transposeChordSymbol(c.symbol, fromTonic, toTonic) }));
+  }
+
+  return transposed;
+}
+
+// E#, B#, Cb and Fb tonics are spelled F, C, B and E
+function plainTonic(name) {
+  const { letter, accidental } = parsePitchName(name);
+  const odd = accidental === "#" ? letter === "E" || letter === "B" : accidental === "b" && (letter === "C" || letter === "F");
+  return odd ? KEYS[pitchNameToSemitone(name)] : name;
+}
+
+// Transpose a whole sequence so its first line lands in `toTonic`. Every
+// line moves by that same interval, so lines in other keys keep their
+// relation to the first one and the joins between lines stay as they were.
+export function transposeSequence(sequence, toTonic) {
+  const lines = sequence || [];
+  if (lines.length === 0) return lines;
+  const fromTonic = lineTonic(lines[0]);
+  return lines.map((line, i) => transposeLine(line, i === 0 ? toTonic : plainTonic(transposePitchName(lineTonic(line), fromTonic, toTonic))));
+}
+
+// Every key of the cycle of fourths, starting from the first line's own
+// tonic, with the whole sequence moved by one interval per key:
+// [{ tonic, lines }]
+export function sequenceInAllKeys(sequence) {
+  const first = lineTonic((sequence || [])[0]);
+  const startSemi = pitchNameToSemitone(first);
+  const startIdx = CYCLE_OF_FOURTHS.findIndex((k) => pitchNameToSemitone(k) === startSemi);
+  const offset = startIdx === -1 ? 0 : startIdx;
+
+  return CYCLE_OF_FOURTHS.map((_, i) => {
+    const tonic = CYCLE_OF_FOURTHS[(offset + i) % CYCLE_OF_FOURTHS.length];
+    return { tonic, lines: transposeSequence(sequence, tonic) };
+  });
+}
+
+export default { KEYS, CYCLE_OF_FOURTHS, transposeNote, transposeLine, transposeSequence, sequenceInAllKeys };
@@ -0,0 +1,114 @@
+import * as Tone from "tone";
+
+const BASE = (import.meta && import.meta.env && import.meta.env.BASE_URL) ? import.meta.env.BASE_URL : '/';
+
+// Playback voices. `sampled` voices load audio files from public/samples
+// before they can play; `program` is the General MIDI program used for the
+// voice in exported MIDI files.
+export const INSTRUMENTS = [
+  { id: 'synth', label: 'Synth', program: 80 },
+  { id: 'sax', label: 'Sax (FM)', program: 65 },
+  { id: 'piano', label: 'Piano (sampled)', sampled: true, program: 0 },
+  { id: 'epiano', label: 'Electric piano', program: 4 },
+  { id: 'vibes', label: 'Vibraphone', program: 11 }
+];
+
+// One piano sample every minor third; file names spell sharps as "s"
+const PIANO_NOTES = [2, 3, 4, 5, 6].flatMap((octave) => ['C', 'D#', 'F#', 'A'].map((n) => `${n}${octave}`)).concat('C7');
+
+function sampleFile(note) {
+  return `${note.replace('#', 's')}.mp3`;
+}
+
+// Loaded sample buffers by instrument id (null when loading failed)
+const sampleBuffers = {};
+const sampleLoads = {};
+
+function loadPiano() {
+  return new Promise((resolve) => {
+    const urls = Object.fromEntries(PIANO_NOTES.map((n) => [n, sampleFile(n)]));
+    const buffers = new Tone.ToneAudioBuffers({
+      urls,
+      baseUrl: `${BASE}samples/piano/`,
+      onload: () => resolve(buffers),
+      onerror: () => resolve(null)
+    });
+  });
+}
+
+// Make sure the samples of every voice in `ids` are loaded. Resolves once
+// they are ready (or have failed, in which case the synth stands in).
+export function loadInstruments(ids = []) {
+  const loads = [...new Set(ids)]
+    .filter((id) => INSTRUMENTS.find((i) => i.id === id)?.sampled)
+    .map((id) => {
+      if (!sampleLoads[id]) {
+        sampleLoads[id] = loadPiano().then((buffers) => {
+          sampleBuffers[id] = buffers;
+          return buffers;
+        });
+      }
+      return sampleLoads[id];
+    });
+  return Promise.all(loads);
+}
+
+// Tone.js options per voice, for a single synth voice
+const PATCHES = {
+  synth: [Tone.Synth, {}],
+  sax: [Tone.FMSynth, {
+    harmonicity: 1,
+    modulationIndex: 10,
+    oscillator: { type: 'sine' },
+    modulation: { type: 'square' },
+    envelope: { attack: 0.04, decay: 0.1, sustain: 0.8, release: 0.15 },
+    modulationEnvelope: { attack: 0.06, decay: 0.2, sustain: 0.6, release: 0.2 }
+  }],
+  epiano: [Tone.FMSynth, {
+    harmonicity: 3,
+    modulationIndex: 4,
+    oscillator: { type: 'sine' },
+    modulation: { type: 'sine' },
+    envelope: { attack: 0.002, decay: 1.2, sustain: 0.25, release: 0.8 },
+    modulationEnvelope: { attack: 0.002, decay: 0.4, sustain: 0.1, release: 0.5 }
+  }],
+  vibes: [Tone.FMSynth, {
+    harmonicity: 4,
+    modulationIndex: 2,
+    oscillator: { type: 'sine' },
+    modulation: { type: 'sine' },
+    envelope: { attack: 0.001, decay: 2, sustain: 0.1, release: 1.5 },
+    modulationEnvelope: { attack: 0.001, decay: 0.3, sustain: 0, release: 0.3 }
+  }]
+};
+
+// Build a voice connected to the speakers. Returns { voice, nodes }: play
+// through `voice` (it has triggerAttackRelease and volume) and dispose every
+// node in `nodes` when done. `polyphonic` voices can sound chords.
+export function createInstrument(id = 'synth', { polyphonic = false } = {}) {
+  if (id === 'piano' && sampleBuffers.piano) {
+    const urls = Object.fromEntries(PIANO_NOTES.map((n) => [n, sampleBuffers.piano.get(n)]));
+    const voice = new Tone.Sampler({ urls, release: 1 }).toDestination();
+    return { voice, nodes: [voice] };
+  }
+
+  const [Voice, options] = PATCHES[id] || PATCHES.synth;
+  const voice = polyphonic ? new Tone.PolySynth(Voice, options) : new Voice(options);
+
+  // the sax gets a little vibrato, the vibraphone its motor tremolo
+  if (id === 'sax') {
+    const vibrato = new Tone.Vibrato(5, 0.08).toDestination();
+    voice.connect(vibrato);
+    return { voice, nodes: [voice, vibrato] };
+  }
+  if (id === 'vibes') {
+    const tremolo = new Tone.Tremolo(6, 0.35).toDestination().start();
+    voice.connect(tremolo);
+    return { voice, nodes: [voice, tremolo] };
+  }
+
+  voice.toDestination();
+  return { voice, nodes: [voice] };
+}
+
+export default { INSTRUMENTS, loadInstruments, createInstrument };
@@ -0,0 +1,21 @@
+import { sequenceToMidiFile } from "../theory/midiFile";
+import { DEFAULT_PLAYBACK } from "./playback";
+import { INSTRUMENTS } from "./instruments";
+
+function program(id) {
+  return (INSTRUMENTS.find((i) => i.id === id) || INSTRUMENTS[0]).program;
+}
+
+// A sequence as a MIDI file (bytes), timed like playSequence with the
+// playback `settings` (see DEFAULT_PLAYBACK): tempo, swing and, with
+// `settings.backing`, the comping and bass. The count-in, click and loop
+// passes are left out.
+export function sequenceToMidi(sequence, settings = {}, { title = "Jazz Lines" } = {}) {
+  const options = { ...DEFAULT_PLAYBACK, ...settings };
+  return sequenceToMidiFile(sequence, options, {
+    title,
+    programs: { melody: program(options.instruments?.melody), comping: program(options.instruments?.comping) }
+  });
+}
+
+export default { sequenceToMidi };
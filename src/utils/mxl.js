@@ -0,0 +1,81 @@
+// Compressed MusicXML (.mxl): a zip archive holding the score and a
+// META-INF/container.xml that names it. Entries are read straight from the
+// zip's central directory and inflated with the browser's
+// DecompressionStream, so no zip library is needed.
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// The archive's entries: [{ name, method, compressedSize, offset }]
+function zipEntries(view) {
+  // The end-of-central-directory record sits in the last 64K + 22 bytes
+  let end = -1;
+  for (let i = view.byteLength - 22; i >= Math.max(0, view.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("Not a compressed MusicXML (.mxl) file");
+
+  const count = view.getUint16(end + 10, true);
+  let pos = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(pos, true) !== CENTRAL_DIRECTORY_ENTRY) break;
+    const nameLength = view.getUint16(pos + 28, true);
+    entries.push({
+      name: decoder.decode(new Uint8Array(view.buffer, view.byteOffset + pos + 46, nameLength)),
+      method: view.getUint16(pos + 10, true),
+      compressedSize: view.getUint32(pos + 20, true),
+      offset: view.getUint32(pos + 42, true)
+    });
+    pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+  }
+  return entries;
+}
+
+// An entry's contents as text (stored or deflated entries only)
+async function entryText(view, entry) {
+  const header = entry.offset;
+  if (view.getUint32(header, true) !== LOCAL_FILE_HEADER) throw new Error(`Damaged .mxl entry: ${entry.name}`);
+  const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+  const data = new Uint8Array(view.buffer, view.byteOffset + start, entry.compressedSize);
+
+  let bytes;
+  if (entry.method === 0) {
+    bytes = data;
+  } else if (entry.method === 8) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  } else {
+    throw new Error(`Unsupported compression in .mxl entry: ${entry.name}`);
+  }
+
+  // MusicXML is UTF-8 unless it starts with a UTF-16 byte order mark
+  const utf16 = bytes[0] === 0xff && bytes[1] === 0xfe ? "utf-16le" : bytes[0] === 0xfe && bytes[1] === 0xff ? "utf-16be" : "utf-8";
+  return new TextDecoder(utf16).decode(bytes);
+}
+
+// The score inside an .mxl archive (an ArrayBuffer) as a MusicXML string
+export async function unzipMusicXml(buffer) {
+  const view = new DataView(buffer);
+  const entries = zipEntries(view);
+
+  // container.xml names the score; without it, take the first .xml/.musicxml
+  let scorePath = null;
+  const container = entries.find((e) => e.name === "META-INF/container.xml");
+  if (container) {
+    const doc = new DOMParser().parseFromString(await entryText(view, container), "application/xml");
+    scorePath = doc.querySelector("rootfile")?.getAttribute("full-path") || null;
+  }
+  const score = entries.find((e) => e.name === scorePath)
+    || entries.find((e) => !e.name.startsWith("META-INF/") && /\.(xml|musicxml)$/i.test(e.name));
+  if (!score) throw new Error("No score found in the .mxl file");
+
+  return entryText(view, score);
+}
+
+export default { unzipMusicXml };
@@ -0,0 +1,272 @@
+import {
+  Stave,
+  StaveNote,
+  Voice,
+  Formatter,
+  Beam,
+  Accidental,
+  Annotation,
+  Tuplet,
+  Dot,
+  StaveTie
+} from "vexflow";
+
+import { noteToDegree } from "../theory/degrees";
+import { computeChordSymbols, chordAtIndex, chordToneLabel } from "../theory/chords";
+import { writtenNote, writtenPitchName, writtenChordSymbol } from "../theory/readingInstruments";
+import { keySignature, spellLine } from "../theory/keySignature";
+import { measureEvents, measureStart, tupletGroups, NOTE_VALUES } from "../theory/timing";
+
+// VexFlow drawing shared by NotationView (one line) and ScoreView (a whole
+// sequence as one part).
+
+// The VexFlow notes of one line, cut into bars, with accidentals, labels,
+// chord symbols and start/end/highlight colours applied. Notes are spelled
+// for the key signature of `tonic` and `mode` (as written for `instrument`)
+// and carry accidentals only where they differ from it. `courtesy` lists the
+// pitches altered in the bar before the line ({ "F4": "#" }), which get a
+// courtesy accidental if they come back unaltered. Returns
+// { events, vexNotes, chordSymbols, beams, brackets, ties, measureCount,
+// signature, lastBarAltered }; events[k] (see measureEvents) is drawn by
+// vexNotes[k], and lastBarAltered is the `courtesy` for a line that follows.
+export function buildLineNotes({ notes, tuplets = [], meter, pickup = 0, clef = "treble", instrument = "concert", tonic = "C", mode = "major", labelMode = "degree", changes = null, tags = [], highlightIndex = -1, courtesy = {} }) {
+  // Notes as the player reads them, spelled for the written key (concert
+  // `notes` stay the reference for labels)
+  const signature = keySignature(writtenPitchName(keySignature({ tonic, mode }).name, instrument));
+  const shownNotes = spellLine(notes.map((note) => writtenNote(note, instrument)), signature);
+
+  // Notes and rests cut into bars; notes crossing a barline come back as
+  // tied pieces
+  const events = measureEvents(notes, tuplets, meter, pickup);
+  const measureCount = events.reduce((max, e) => Math.max(max, e.measure + 1), 1);
+
+  // Convert the notes and rests into VexFlow notes; notePieces maps a note
+  // index to its VexFlow notes (more than one when it is tied over a barline)
+  const notePieces = notes.map(() => []);
+  const vexNotes = events.map((event, k) => {
+    const { value, dots } = event.rhythm;
+    const isRest = event.type === "rest";
+    const note = shownNotes[event.noteIdx];
+    const key = isRest
+      ? (clef === "bass" ? "d/3" : "b/4")
+      : `${note.letter.toLowerCase()}${note.accidental}/${note.octave}`;
+    if (!isRest) notePieces[event.noteIdx].push(k);
+
+    const vexNote = new StaveNote({
+      clef,
+      keys: [key],
+      duration: isRest ? `${value}r` : value,
+      dots
+    });
+    for (let d = 0; d < dots; d++) Dot.buildAndAttach([vexNote], { all: true });
+    return vexNote;
+  });
+  const firstPiece = (i) => vexNotes[notePieces[i][0]];
+
+  // Compute chord symbols from the changes (or tags); they drive both the
+  // chord-tone labels and the symbols drawn above the stave
+  const chordSymbols = computeChordSymbols(notes, tags || [], tonic, changes, tuplets);
+
+  // The accidental each letter+octave carries so far in the bar (the key
+  // signature's until a note changes it), and the pitches altered in the
+  // bar before, which get a courtesy accidental when they return to the key
+  const inKey = (pk) => signature.accidentals[pk.charAt(0)] || "";
+  const altered = (acc) => Object.fromEntries(Object.entries(acc).filter(([pk, a]) => a !== inKey(pk)));
+  let barAcc = {};
+  let courtesyAcc = { ...courtesy };
+  let seenMeasure = 0;
+
+  // Apply accidentals, add degree labels, highlight start/end and active note
+  notes.forEach((note, i) => {
+    const vexNote = firstPiece(i);
+    const shown = shownNotes[i];
+    const pk = `${shown.letter}${shown.octave}`; // pitch key for accidental scope
+
+    // accidentals last until the barline
+    const measure = events[notePieces[i][0]].measure;
+    if (measure !== seenMeasure) {
+      courtesyAcc = altered(barAcc);
+      barAcc = {};
+      seenMeasure = measure;
+    }
+
+    // A note tied over from the one before keeps its accidental unwritten
+    const tiedOver = i > 0 && notes[i - 1].rhythm?.tie;
+
+    // Draw an accidental where the note differs from what the bar (or key
+    // signature) already says, and a bracketed one where it undoes an
+    // accidental from the bar before
+    if (!tiedOver) {
+      const current = pk in barAcc ? barAcc[pk] : inKey(pk);
+      if (shown.accidental !== current) {
+        vexNote.addModifier(new Accidental(shown.accidental || "n"), 0);
+      } else if (pk in courtesyAcc) {
+        vexNote.addModifier(new Accidental(shown.accidental || "n").setAsCautionary(), 0);
+      }
+      barAcc[pk] = shown.accidental;
+      delete courtesyAcc[pk];
+    }
+
+    // Add degree annotation, or the chord function when labelling by chord
+    // (falls back to the degree where no chord is sounding)
+    let label = noteToDegree(note, tonic); // "1", "b3", "#2", etc.
+    if (labelMode === "chord") {
+      label = chordToneLabel(note, chordAtIndex(chordSymbols, i)) || label;
+    }
+    vexNote.addModifier(
+      new Annotation(label)
+        .setFont("Arial", 12)
+        .setVerticalJustification(Annotation.VerticalJustify.BOTTOM),
+      0
+    );
+
+    // Default start/end styling, overridden for the active (highlighted) note
+    const color = i === highlightIndex ? "orange" : i === 0 ? "green" : i === notes.length - 1 ? "red" : null;
+    if (color) {
+      notePieces[i].forEach((k) => vexNotes[k].setStyle({ fillStyle: color, strokeStyle: color }));
+    }
+  });
+
+  // Attach chord symbols to the relevant notes (top annotations)
+  chordSymbols.forEach((c) => {
+    const idx = c.index;
+    if (typeof idx === 'number' && idx >= 0 && idx < notes.length) {
+      firstPiece(idx).addModifier(
+        new Annotation(writtenChordSymbol(c.text, instrument))
+          .setFont("Arial", 14)
+          .setVerticalJustification(Annotation.VerticalJustify.TOP),
+        0
+      );
+    }
+  });
+
+  // Tuplets get a bracket (and a beam when they are all eighths or shorter)
+  const beams = [];
+  const beamedIndices = new Set();
+  const beamable = (k) => events[k].type === "note" && NOTE_VALUES[events[k].rhythm.value] <= NOTE_VALUES["8"];
+
+  const brackets = tupletGroups(events)
+    .filter(({ indices }) => indices.every((k) => events[k].measure === events[indices[0]].measure))
+    .map(({ tuplet, indices }) => {
+      const tupletNotes = indices.map((k) => vexNotes[k]);
+      if (indices.length >= 2 && indices.every(beamable)) beams.push(new Beam(tupletNotes));
+      indices.forEach((k) => beamedIndices.add(k));
+      return new Tuplet(tupletNotes, {
+        numNotes: tuplet.actual,
+        notesOccupied: tuplet.normal,
+        ratioed: false,
+        location: Tuplet.LOCATION_TOP
+      });
+    });
+
+  // The other short notes are beamed by the meter's beam groups (two beats
+  // in 4/4, one in 3/4 and 5/4, a dotted quarter in 6/8), broken by rests,
+  // longer notes and barlines
+  const beamGroup = (k) => {
+    const { measure, beat } = events[k];
+    return `${measure}:${Math.floor((beat - measureStart(measure, meter, pickup) + 1e-6) / meter.beamBeats)}`;
+  };
+  let i = 0;
+  while (i < vexNotes.length) {
+    // Skip if already beamed or not beamable
+    if (beamedIndices.has(i) || !beamable(i)) {
+      i++;
+      continue;
+    }
+
+    // Collect beamable notes starting from i within its beam group
+    const group = [];
+    for (let j = i; j < vexNotes.length; j++) {
+      if (beamedIndices.has(j) || !beamable(j) || beamGroup(j) !== beamGroup(i)) break;
+      group.push(vexNotes[j]);
+    }
+
+    // Create a beam if we have 2 or more notes
+    if (group.length >= 2) beams.push(new Beam(group));
+
+    // Move to next unprocessed index
+    i += group.length > 0 ? group.length : 1;
+  }
+
+  // Ties into the next note; a tie off the end of the line is left open
+  const ties = [];
+  events.forEach((event, k) => {
+    if (event.type !== "note" || !event.rhythm.tie) return;
+    const next = events.slice(k + 1).findIndex((e) => e.type === "note");
+    if (next < 0 && k < events.length - 1) return;
+    ties.push(new StaveTie({
+      firstNote: vexNotes[k],
+      lastNote: next >= 0 ? vexNotes[k + 1 + next] : undefined,
+      firstIndexes: [0],
+      lastIndexes: [0]
+    }));
+  });
+
+  return { events, vexNotes, chordSymbols, beams, brackets, ties, measureCount, signature, lastBarAltered: altered(barAcc) };
+}
+
+// Draw bars as rows of staves and their notes. `measures` is
+// [{ vexNotes, meter, signature }]; a row holds up to `perRow` bars, sized
+// by how many notes they hold (a short last row keeps its bars about as wide
+// as those above). Each row starts with the clef and key signature; a key
+// or time signature is also shown wherever it changes. Returns the staves,
+// one per bar.
+export function drawMeasures(context, measures, { x = 10, y = 50, width = 680, rowHeight = 150, perRow = 2, clef = "treble" } = {}) {
+  const staves = [];
+  for (let first = 0; first < measures.length; first += perRow) {
+    const row = measures.slice(first, first + perRow);
+    const weights = row.map((m, idx) => {
+      const keyChange = idx === 0 || measures[first + idx - 1].signature?.name !== m.signature?.name;
+      return 2 + m.vexNotes.length + (idx === 0 ? 3 : 0) + (keyChange ? Math.abs(m.signature?.fifths ?? 0) / 2 : 0);
+    });
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let left = x;
+    row.forEach((measure, idx) => {
+      const m = first + idx;
+      const rowWidth = measures.length <= perRow ? width : (width * row.length) / perRow;
+      const staveWidth = (rowWidth * weights[idx]) / total;
+      const stave = new Stave(left, y + (first / perRow) * rowHeight, staveWidth);
+      if (idx === 0) stave.addClef(clef);
+      const key = measure.signature?.name ?? "C";
+      const prevKey = m > 0 ? measures[m - 1].signature?.name ?? "C" : "C";
+      if (idx === 0 && key !== "C") stave.addKeySignature(key);
+      else if (idx > 0 && key !== prevKey) stave.addKeySignature(key, prevKey);
+      if (m === 0 || measures[m - 1].meter.id !== measure.meter.id) stave.addTimeSignature(measure.meter.id);
+      stave.setContext(context).draw();
+
+      // A voice per bar (soft mode lets pickups and short last bars through)
+      const voice = new Voice({ numBeats: measure.meter.beats, beatValue: measure.meter.beatValue }).setMode(Voice.Mode.SOFT);
+      voice.addTickables(measure.vexNotes);
+      new Formatter().joinVoices([voice]).formatToStave([voice], stave);
+      voice.draw(context, stave);
+
+      staves.push(stave);
+      left += staveWidth;
+    });
+  }
+  return staves;
+}
+
+// Beams, tuplet brackets and ties go on after the notes are drawn
+export function drawNoteGroups(context, { beams = [], brackets = [], ties = [] }) {
+  beams.forEach((b) => b.setContext(context).draw());
+  brackets.forEach((t) => t.setContext(context).draw());
+  ties.forEach((t) => t.setContext(context).draw());
+}
+
+// Make the generated SVG responsive by setting a viewBox and allowing the SVG to scale to container width.
+export function makeResponsive(container, width, height) {
+  try {
+    const svg = container.querySelector('svg');
+    if (svg) {
+      svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+      svg.style.width = '100%';
+      svg.style.height = 'auto';
+      svg.setAttribute('preserveAspectRatio', 'xMinYMid meet');
+    }
+  } catch {
+    // ignore
+  }
+}
+
+export default { buildLineNotes, drawMeasures, drawNoteGroups, makeResponsive };
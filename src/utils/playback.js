@@ -1,104 +1,316 @@
 import * as Tone from "tone";
+import { lineTuplets, tupletList, barBeats, swingBeat, STRAIGHT, TIME_SIGNATURES } from "../theory/timing";
+import { buildSchedule } from "../theory/schedule";
+import { compingPart, bassPart } from "../theory/accompaniment";
+import { KEYS, lineTonic, transposeLine } from "../theory/transpose";
+import { pitchNameToSemitone } from "../theory/pitch";
+import { createInstrument, loadInstruments } from "./instruments";
 
-// Play a single line of notes with highlight callback
-// Play a single line of notes with highlight callback.
-// Accepts optional `tripletStartIndex` to play three notes in time of two eighths.
-export async function playLine(notes, duration = "8n", onNotePlay, tripletStartIndex = -1) {
-  await Tone.start();
-  const synth = new Tone.Synth().toDestination();
-
-  // Ensure transport is reset so schedules use time 0
-  Tone.Transport.stop();
-  Tone.Transport.cancel();
-  Tone.Transport.bpm.value = 120;
-
-  const baseNoteSeconds = Tone.Time(duration).toSeconds();
-  const tripletNoteSeconds = baseNoteSeconds * (2 / 3); // three in time of two
-
-  // Schedule notes, adjusting timing for triplet notes
-  let timeCursor = 0;
-  notes.forEach((noteObj, i) => {
-    const isTriplet = tripletStartIndex >= 0 && i >= tripletStartIndex && i < tripletStartIndex + 3;
-    const thisDuration = isTriplet ? tripletNoteSeconds : baseNoteSeconds;
-    const noteStr = `${noteObj.letter}${noteObj.accidental || ""}${noteObj.octave}`;
+// The beat grid the scheduler plays from (see theory/schedule.js)
+export { buildSchedule };
 
-    Tone.Transport.schedule((timeStamp) => {
-      synth.triggerAttackRelease(noteStr, thisDuration, timeStamp);
-      if (onNotePlay) onNotePlay(i);
-    }, timeCursor);
+// Tempo, feel and click settings shared by every playback call.
+// `swing` is the swing ratio (0.5 straight .. 2/3 triplet swing),
+// `metronome` clicks on 2 and 4, `countIn` plays one bar of clicks first.
+// `backing` adds comping and a bass line (`bassStyle` 'roots' or 'walking')
+// from each line's chord changes; `volumes` are per part, in dB. `loop`
+// repeats the music, optionally faster (`bpmStep` per pass up to
+// `targetBpm`) and transposed by `transpose` semitones each pass.
+// `instruments` picks the voice (see INSTRUMENTS) of the melody and comping.
+export const DEFAULT_PLAYBACK = {
+  bpm: 120,
+  swing: STRAIGHT,
+  metronome: false,
+  countIn: false,
+  backing: false,
+  bassStyle: 'walking',
+  volumes: { melody: 0, comping: -10, bass: -6, click: -12 },
+  loop: { enabled: false, passes: 4, bpmStep: 0, targetBpm: 200, transpose: 0 },
+  instruments: { melody: 'synth', comping: 'synth' }
+};
+
+// Beats to click on: every pulse of the count-in bar, then the even pulses
+// of each bar (2 and 4 in 4/4, 2 in 3/4) while the music plays. Beat 0 is
+// the first note, bars start at `downbeat` (after a pickup). `scale` is the
+// length of a beat as played (see buildSchedule).
+function clickBeats(totalBeats, { metronome, countIn }, downbeat = 0, meter = TIME_SIGNATURES[0], scale = 1) {
+  // the pulse is a quarter, or a dotted quarter in compound meters
+  const pulse = (meter.beatValue === 8 ? 1.5 : 4 / meter.beatValue) * scale;
+  const bar = barBeats(meter) * scale;
+  const pulses = Math.round(bar / pulse);
+  const clicks = [];
+  if (countIn) {
+    for (let p = 0; p < pulses; p++) clicks.push({ beat: downbeat - bar + p * pulse, accent: p === 0 });
+  }
+  if (metronome) {
+    for (let start = downbeat; start < totalBeats; start += bar) {
+      for (let p = 1; p < pulses; p += 2) {
+        if (start + p * pulse < totalBeats) clicks.push({ beat: start + p * pulse, accent: false });
+      }
+    }
+  }
+  return clicks;
+}
+
+function noteName(noteObj) {
+  return `${noteObj.letter}${noteObj.accidental || ""}${noteObj.octave}`;
+}
+
+function disposeAll(instruments) {
+  instruments.forEach((instrument) => {
+    try {
+      instrument.dispose();
+    } catch {
+      // ignore
+    }
+  });
+}
+
+// The voices of one playback: { parts, nodes } where `parts` are what the
+// scheduler plays through and `nodes` everything to dispose afterwards
+function createInstruments(volumes, voices) {
+  const melody = createInstrument(voices.melody);
+  melody.voice.volume.value = volumes.melody;
+  const comping = createInstrument(voices.comping, { polyphonic: true });
+  comping.voice.volume.value = volumes.comping;
+  const click = new Tone.Synth({ oscillator: { type: "square" }, envelope: { attack: 0.001, decay: 0.05, sustain: 0, release: 0.01 } }).toDestination();
+  click.volume.value = volumes.click;
+  const bass = new Tone.Synth({ oscillator: { type: "triangle" }, envelope: { attack: 0.01, decay: 0.2, sustain: 0.6, release: 0.2 } }).toDestination();
+  bass.volume.value = volumes.bass;
+  return {
+    parts: { melody: melody.voice, comping: comping.voice, click, bass },
+    nodes: [...melody.nodes, ...comping.nodes, click, bass]
+  };
+}
 
-    timeCursor += thisDuration;
+// Tempo of a loop pass: rising by `bpmStep` each time, capped at `targetBpm`
+function passTempo(options, pass) {
+  const { bpmStep = 0, targetBpm = options.bpm } = options.loop || {};
+  if (bpmStep <= 0 || targetBpm <= options.bpm) return options.bpm;
+  return Math.min(targetBpm, options.bpm + pass * bpmStep);
+}
+
+// The sequence as heard on a loop pass: every line moved up `transpose`
+// semitones per pass (5 walks round the cycle of fourths)
+function passSequence(sequence, options, pass) {
+  const step = options.loop?.transpose || 0;
+  if (!step || pass === 0) return sequence;
+  return sequence.map((line) => {
+    const pc = (pitchNameToSemitone(lineTonic(line)) + pass * step) % 12;
+    return transposeLine(line, KEYS[(pc + 12) % 12]);
   });
+}
 
-  const totalTime = timeCursor;
+// Schedule one pass of the music starting at `startTime` seconds and
+// return the time it ends. `lead` beats of silence (the count-in) come
+// first; anything before `fromBeat` is skipped, for seeking.
+function schedulePass(sequence, options, parts, noteBeats, bpm, startTime, lead, onNote, fromBeat = 0) {
+  const secondsPerBeat = 60 / bpm;
+  const { events, chords, totalBeats, downbeat, meter } = buildSchedule(sequence, options, noteBeats);
+  const at = (beat) => startTime + (beat - fromBeat + lead) * secondsPerBeat;
+  const audible = (beat) => beat >= fromBeat - 1e-6;
 
-  if (onNotePlay) {
-    Tone.Transport.schedule(() => onNotePlay(-1), totalTime);
+  if (options.backing && chords.length > 0) {
+    compingPart(chords, meter).filter((hit) => audible(hit.beat)).forEach((hit) => {
+      const names = hit.midis.map((m) => Tone.Frequency(m, "midi").toNote());
+      Tone.Transport.schedule((timeStamp) => {
+        parts.comping.triggerAttackRelease(names, hit.beats * secondsPerBeat, timeStamp);
+      }, at(downbeat + swingBeat(hit.beat - downbeat, options.swing)));
+    });
+    bassPart(chords, options.bassStyle).filter((n) => audible(n.beat)).forEach((n) => {
+      Tone.Transport.schedule((timeStamp) => {
+        parts.bass.triggerAttackRelease(Tone.Frequency(n.midi, "midi").toNote(), n.beats * secondsPerBeat * 0.95, timeStamp);
+      }, at(n.beat));
+    });
   }
 
-  // cleanup: stop transport and dispose synth after playback finishes
-  Tone.Transport.schedule(() => {
+  // the count-in (negative beats) is only asked for when starting from the top
+  clickBeats(totalBeats, { ...options, countIn: lead > 0 }, downbeat, meter, noteBeats / 0.5).filter((c) => c.beat < 0 || audible(c.beat)).forEach(({ beat, accent }) => {
+    Tone.Transport.schedule((timeStamp) => {
+      parts.click.triggerAttackRelease(accent ? "G6" : "C6", 0.03, timeStamp);
+    }, at(beat));
+  });
+
+  events.filter((event) => audible(event.beat)).forEach((event) => {
+    Tone.Transport.schedule((timeStamp) => {
+      parts.melody.triggerAttackRelease(noteName(event.note), event.beats * secondsPerBeat, timeStamp);
+      if (onNote) onNote(event);
+    }, at(event.beat));
+  });
+
+  return at(totalBeats);
+}
+
+// The one owner of Tone.Transport. Starting a playback stops the previous
+// one; listeners get the "now playing" state on every change:
+//   { status: 'stopped' | 'playing' | 'paused', lineIdx, noteIdx, pass, tag }
+// lineIdx/noteIdx are the note sounding (-1 when none), counted in the
+// sequence passed to play(); `tag` is whatever the caller passed along, so
+// a view can tell whether the playback is one of its own.
+export function createPlaybackController() {
+  const listeners = new Set();
+  let state = { status: 'stopped', lineIdx: -1, noteIdx: -1, pass: 0, tag: null };
+  // what play() was last called with, so seeks can restart from a new spot
+  let current = null;
+  let instruments = [];
+  // bumped on every (re)start so callbacks of an old schedule are ignored
+  let generation = 0;
+
+  const setState = (patch) => {
+    state = { ...state, ...patch };
+    listeners.forEach((listener) => listener(state));
+  };
+
+  const release = () => {
+    generation++;
     try {
       Tone.Transport.stop();
       Tone.Transport.cancel();
-    } catch (e) {
+    } catch {
       // ignore
     }
-    try {
-      synth.dispose();
-    } catch (e) {
-      // ignore
-    }
-  }, totalTime + 0.01);
+    disposeAll(instruments);
+    instruments = [];
+  };
 
-  // Start slightly in the future to ensure schedules at time 0 fire reliably
-  Tone.Transport.start("+0.01");
-}
+  // Schedule `current` from (lineIdx, noteIdx) of the first pass. With
+  // `settings.loop.enabled` the music repeats `loop.passes` times (0 = until
+  // stopped); each pass is scheduled when the previous one starts, so tempo
+  // and key can change from pass to pass.
+  const schedule = (lineIdx, noteIdx, autoStart) => {
+    release();
+    const run = ++generation;
+    const { sequence, duration, settings, onNote, from } = current;
+    const options = { ...DEFAULT_PLAYBACK, ...settings };
+    const volumes = { ...DEFAULT_PLAYBACK.volumes, ...settings.volumes };
+    const loop = { ...DEFAULT_PLAYBACK.loop, ...settings.loop };
+    const passes = loop.enabled ? (loop.passes > 0 ? loop.passes : Infinity) : 1;
+    const { parts, nodes } = createInstruments(volumes, { ...DEFAULT_PLAYBACK.instruments, ...settings.instruments });
+    instruments = nodes;
 
-// Play a full sequence of lines with highlight callback
-export async function playSequence(sequence, duration = "8n", onNotePlay) {
-  await Tone.start();
-  const synth = new Tone.Synth().toDestination();
+    Tone.Transport.bpm.value = options.bpm;
+    const noteBeats = Tone.Time(duration).toSeconds() / (60 / options.bpm);
 
-  // Reset transport
-  Tone.Transport.stop();
-  Tone.Transport.cancel();
-  Tone.Transport.bpm.value = 120;
+    // where the seek target falls in the first pass
+    const { events, meter } = buildSchedule(sequence, options, noteBeats);
+    const target = events.find((e) => e.lineIdx === lineIdx && e.noteIdx >= noteIdx) || events.find((e) => e.lineIdx >= lineIdx);
+    const fromBeat = target && (lineIdx > 0 || noteIdx > 0) ? target.beat : 0;
 
-  let timeOffset = 0;
-  const baseNoteSeconds = Tone.Time(duration).toSeconds();
-  const tripletNoteSeconds = baseNoteSeconds * (2 / 3);
+    const playPass = (pass, startTime) => {
+      if (run !== generation) return;
+      const lead = pass === 0 && fromBeat === 0 && options.countIn ? barBeats(meter) * (noteBeats / 0.5) : 0;
+      const noteHandler = (event) => {
+        if (run !== generation) return;
+        setState({ lineIdx: event.lineIdx + from, noteIdx: event.noteIdx, pass });
+        if (onNote) onNote({ ...event, lineIdx: event.lineIdx + from });
+      };
+      const endTime = schedulePass(passSequence(sequence, options, pass), options, parts, noteBeats, passTempo(options, pass), startTime, lead, noteHandler, pass === 0 ? fromBeat : 0);
 
-  sequence.forEach((line, lineIdx) => {
-    const tripletStart = line.tripletStartIndex ?? -1;
-    line.notes.forEach((noteObj, noteIdx) => {
-      const isTriplet = tripletStart >= 0 && noteIdx >= tripletStart && noteIdx < tripletStart + 3;
-      const thisDurationSeconds = isTriplet ? tripletNoteSeconds : baseNoteSeconds;
-      const noteStr = `${noteObj.letter}${noteObj.accidental || ""}${noteObj.octave}`;
+      if (pass + 1 < passes) {
+        Tone.Transport.schedule(() => playPass(pass + 1, endTime), startTime);
+        return;
+      }
 
-      Tone.Transport.schedule((timeStamp) => {
-        synth.triggerAttackRelease(noteStr, thisDurationSeconds, timeStamp);
-        if (onNotePlay) onNotePlay(lineIdx, noteIdx);
-      }, timeOffset);
+      Tone.Transport.schedule(() => {
+        if (run !== generation) return;
+        const { onEnd } = current;
+        stop();
+        if (onEnd) onEnd();
+      }, endTime + 0.01);
+    };
 
-      timeOffset += thisDurationSeconds;
-    });
-  });
+    playPass(0, 0);
+    setState({ status: autoStart ? 'playing' : 'paused', lineIdx: -1, noteIdx: -1, pass: 0, tag: current.tag });
 
-  if (onNotePlay) {
-    Tone.Transport.schedule(() => onNotePlay(-1, -1), timeOffset);
+    // Start slightly in the future to ensure schedules at time 0 fire reliably
+    if (autoStart) Tone.Transport.start("+0.01");
+  };
+
+  // Play `sequence` (an array of lines). Options:
+  //   duration   length of a plain note, "8n" by default
+  //   settings   DEFAULT_PLAYBACK overrides; while looping, `settings.range`
+  //              ({ from, to }, inclusive) repeats just those lines
+  //   tag        passed through in the state for listeners
+  //   onNote(event), onEnd()  per-call callbacks
+  //   startLine, startNote    begin partway through
+  async function play(sequence, { duration = "8n", settings = {}, tag = null, onNote = null, onEnd = null, startLine = 0, startNote = 0 } = {}) {
+    await Tone.start();
+    await loadInstruments(Object.values({ ...DEFAULT_PLAYBACK.instruments, ...settings.instruments }));
+    const range = settings.loop?.enabled && settings.range ? settings.range : null;
+    const last = sequence.length - 1;
+    const from = range ? Math.max(0, Math.min(range.from ?? 0, last)) : 0;
+    const to = range ? Math.max(from, Math.min(range.to ?? last, last)) : last;
+    current = { sequence: sequence.slice(from, to + 1), duration, settings, tag, onNote, onEnd, from };
+    schedule(Math.max(0, startLine - from), startNote, true);
   }
 
-  // cleanup after whole sequence
-  Tone.Transport.schedule(() => {
-    try {
-      Tone.Transport.stop();
-      Tone.Transport.cancel();
-    } catch (e) {}
-    try {
-      synth.dispose();
-    } catch (e) {}
-  }, timeOffset + 0.01);
+  function pause() {
+    if (state.status !== 'playing') return;
+    Tone.Transport.pause();
+    setState({ status: 'paused' });
+  }
+
+  function resume() {
+    if (state.status !== 'paused') return;
+    Tone.Transport.start();
+    setState({ status: 'playing' });
+  }
+
+  function stop() {
+    release();
+    setState({ status: 'stopped', lineIdx: -1, noteIdx: -1, pass: 0 });
+  }
 
-  Tone.Transport.start("+0.01");
+  // Jump to a note of the current playback (indices as reported in the
+  // state). Keeps playing, or stays paused, from there.
+  function seekToNote(lineIdx, noteIdx = 0) {
+    if (!current || state.status === 'stopped') return;
+    const line = Math.max(0, Math.min(lineIdx - current.from, current.sequence.length - 1));
+    schedule(line, Math.max(0, noteIdx), state.status === 'playing');
+  }
+
+  function seekToLine(lineIdx) {
+    seekToNote(lineIdx, 0);
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    listener(state);
+    return () => listeners.delete(listener);
+  }
+
+  return { play, pause, resume, stop, seekToLine, seekToNote, subscribe, getState: () => state };
+}
+
+export const playback = createPlaybackController();
+
+// Stop whatever is playing
+export function stopPlayback() {
+  playback.stop();
+}
+
+// Play a single line of notes with highlight callback.
+// Accepts optional `tuplets` (tuplet groups, or a triplet start index) in place
+// of the line's own, and playback `settings` (see DEFAULT_PLAYBACK). Pass the
+// line object instead of its notes to have the backing follow its chord changes.
+export async function playLine(notesOrLine, duration = "8n", onNotePlay, tuplets = -1, settings = {}) {
+  const line = Array.isArray(notesOrLine) ? { notes: notesOrLine } : notesOrLine;
+  await playback.play([{ ...line, tuplets: tuplets === -1 ? lineTuplets(line) : tupletList(tuplets) }], {
+    duration,
+    settings,
+    onNote: onNotePlay ? (event) => onNotePlay(event.noteIdx) : null,
+    onEnd: onNotePlay ? () => onNotePlay(-1) : null
+  });
+}
+
+// Play a full sequence of lines with highlight callback. While looping,
+// `settings.range` ({ from, to }, inclusive line indices) repeats just that
+// stretch of the sequence; highlights still use indices into `sequence`.
+export async function playSequence(sequence, duration = "8n", onNotePlay, settings = {}) {
+  await playback.play(sequence, {
+    duration,
+    settings,
+    onNote: onNotePlay ? (event) => onNotePlay(event.lineIdx, event.noteIdx) : null,
+    onEnd: onNotePlay ? () => onNotePlay(-1, -1) : null
+  });
 }
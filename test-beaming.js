@@ -1,120 +1,88 @@
 import { buildJazzLine } from "./src/theory/lineBuilder.js";
 import { parseNote } from "./src/theory/noteParser.js";
+import { measureEvents, tupletGroups, timeSignature, addTuplet, moveTuplet } from "./src/theory/timing.js";
 
-// Helper function to simulate the beaming logic from NotationView
-function simulateBeaming(noteCount, tripletStartIndex) {
-  const vexNotes = Array(noteCount).fill(null).map((_, i) => ({ id: i }));
-  const beams = [];
-  const beamedIndices = new Set();
-  const hasValidTriplet = tripletStartIndex >= 0 && tripletStartIndex + 3 <= vexNotes.length;
-  
-  // First, handle triplet if present
-  if (hasValidTriplet) {
-    const tripletGroup = vexNotes.slice(tripletStartIndex, tripletStartIndex + 3);
-    if (tripletGroup.length === 3) {
-      beams.push({
-        type: "triplet",
-        notes: tripletGroup.map(n => n.id),
-        startIndex: tripletStartIndex,
-        endIndex: tripletStartIndex + 2
-      });
-      beamedIndices.add(tripletStartIndex);
-      beamedIndices.add(tripletStartIndex + 1);
-      beamedIndices.add(tripletStartIndex + 2);
-    }
-  }
+let failures = 0;
 
-  // Then, beam remaining notes in groups of 4
-  let i = 0;
-  while (i < vexNotes.length) {
-    if (beamedIndices.has(i)) {
-      i++;
-      continue;
-    }
-    
-    const group = [];
-    let j = i;
-    while (group.length < 4 && j < vexNotes.length) {
-      if (!beamedIndices.has(j)) {
-        group.push(vexNotes[j]);
-      }
-      j++;
-    }
-    
-    if (group.length >= 2) {
-      beams.push({
-        type: "regular",
-        notes: group.map(n => n.id),
-        startIndex: group[0].id,
-        endIndex: group[group.length - 1].id
-      });
-    }
-    
-    i = j;
+function check(desc, actual, expected) {
+  const got = JSON.stringify(actual);
+  const want = JSON.stringify(expected);
+  if (got === want) {
+    console.log(`✅ PASS: ${desc}`);
+  } else {
+    failures++;
+    console.log(`❌ FAIL: ${desc}`);
+    console.log(`   Got: ${got}`);
+    console.log(`   Expected: ${want}`);
   }
-
-  return beams;
 }
 
-console.log("=== Testing Beaming Logic for 9-Note Line ===\n");
+// `count` plain eighth notes
+function eighths(count) {
+  return Array(count).fill("A5").map(parseNote);
+}
 
-// Test 1: Create a 9-note line
-console.log("Test 1: Building a 9-note line");
-const noteStrings = ["A5", "A5", "A5", "A5", "A5", "A5", "A5", "A5", "A5"];
-const notes = noteStrings.map(parseNote);
-const line = buildJazzLine(notes);
+// A note with its own rhythm
+function withRhythm(name, value, dots = 0) {
+  return { ...parseNote(name), rhythm: { value, dots, tuplet: null, tie: false, restBefore: [], restAfter: [] } };
+}
 
-console.log(`✓ Created line with ${line.notes.length} notes`);
-console.log(`✓ tripletStartIndex: ${line.tripletStartIndex}`);
-console.log(`✓ Expected tripletStartIndex: 6`);
-if (line.tripletStartIndex === 6) {
-  console.log("✅ PASS: tripletStartIndex is correctly set to 6\n");
-} else {
-  console.log("❌ FAIL: tripletStartIndex should be 6\n");
+// The bar each event lands in, and the events of each tuplet bracket
+function bars(events) {
+  return events.map((e) => e.measure);
+}
+function brackets(events) {
+  return tupletGroups(events).map(({ indices }) => indices);
 }
 
-// Test 2: Simulate beaming for 9-note line with triplet at index 6
-console.log("Test 2: Simulating beaming for 9-note line with triplet at index 6");
-const beams = simulateBeaming(9, 6);
+console.log("=== Testing Bars and Tuplet Groups ===\n");
 
-console.log(`Total beams created: ${beams.length}`);
-beams.forEach((beam, idx) => {
-  console.log(`  Beam ${idx + 1}: ${beam.type} - notes [${beam.notes.join(", ")}]`);
-});
+// Test 1: the default 9-note line in 4/4
+console.log("Test 1: 9-note line in 4/4");
+const nine = buildJazzLine(eighths(9));
+const nineEvents = measureEvents(nine.notes, nine.tuplets, timeSignature("4/4"));
+check("The last 3 notes are a triplet", brackets(nineEvents), [[6, 7, 8]]);
+check("Everything fits in one bar", bars(nineEvents), [0, 0, 0, 0, 0, 0, 0, 0, 0]);
+console.log();
 
-console.log("\nExpected beaming:");
-console.log("  Beam 1: regular - notes [0, 1, 2, 3]");
-console.log("  Beam 2: regular - notes [4, 5]");
-console.log("  Beam 3: triplet - notes [6, 7, 8]");
+// Test 2: 3/4
+console.log("Test 2: 3/4");
+const waltzEvents = measureEvents(eighths(8), [{ start: 2, actual: 3, normal: 2, value: "8" }], timeSignature("3/4"));
+check("A triplet on beat 2 is one bracket", brackets(waltzEvents), [[2, 3, 4]]);
+check("Bars hold three beats", bars(waltzEvents), [0, 0, 0, 0, 0, 0, 0, 1]);
+const pickupEvents = measureEvents(eighths(8), [], timeSignature("3/4"), 1);
+check("A one-beat pickup is bar 0", bars(pickupEvents), [0, 0, 1, 1, 1, 1, 1, 1]);
+const crossing = measureEvents([...Array(5).fill("A5").map((n) => withRhythm(n, "8")), withRhythm("C5", "2")], [], timeSignature("3/4"));
+check("A half note on the and of 3 is tied over the barline", crossing.slice(5).map((e) => [e.measure, e.rhythm.value, e.rhythm.dots, e.rhythm.tie, e.continued]),
+  [[0, "8", 0, true, false], [1, "4", 1, false, true]]);
+console.log();
 
-if (beams.length === 3 &&
-    beams[0].type === "triplet" &&
-    JSON.stringify(beams[0].notes) === "[6,7,8]" &&
-    beams[1].type === "regular" &&
-    JSON.stringify(beams[1].notes) === "[0,1,2,3]" &&
-    beams[2].type === "regular" &&
-    JSON.stringify(beams[2].notes) === "[4,5]") {
-  console.log("\n✅ PASS: Beaming logic correctly groups notes\n");
-} else {
-  console.log("\n❌ FAIL: Beaming logic not working correctly");
-  console.log("Got:", JSON.stringify(beams));
-  console.log("Expected: triplet [6,7,8], regular [0,1,2,3], regular [4,5]\n");
-}
+// Test 3: 5/4
+console.log("Test 3: 5/4");
+const fiveEvents = measureEvents(eighths(14), [{ start: 4, actual: 5, normal: 4, value: "16" }], timeSignature("5/4"));
+check("A quintuplet on beat 3 is one bracket", brackets(fiveEvents), [[4, 5, 6, 7, 8]]);
+check("Bars hold five beats", bars(fiveEvents), [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+console.log();
 
-// Test 3: Test different triplet positions
-console.log("Test 3: Testing triplet at different positions");
-const testCases = [
-  { tripletPos: 0, desc: "start" },
-  { tripletPos: 3, desc: "middle" },
-  { tripletPos: 6, desc: "end" }
-];
+// Test 4: 6/8
+console.log("Test 4: 6/8");
+const compoundEvents = measureEvents(eighths(9), [{ start: 6, actual: 3, normal: 2, value: "8" }], timeSignature("6/8"));
+check("A triplet in the second bar is one bracket", brackets(compoundEvents), [[6, 7, 8]]);
+check("Bars hold six eighths", bars(compoundEvents), [0, 0, 0, 0, 0, 0, 1, 1, 1]);
+console.log();
 
-testCases.forEach(({ tripletPos, desc }) => {
-  const testBeams = simulateBeaming(9, tripletPos);
-  console.log(`  Triplet at position ${tripletPos} (${desc}): ${testBeams.length} beams created`);
-  testBeams.forEach(beam => {
-    console.log(`    - ${beam.type}: [${beam.notes.join(", ")}]`);
-  });
-});
+// Test 5: a triplet that would cross the barline
+console.log("Test 5: Tuplets and barlines");
+const ten = { notes: eighths(10) };
+const added = addTuplet([], "3:2", ten);
+check("A new triplet goes at the latest spot inside the bar", added.map((t) => t.start), [6]);
+check("Moving it over the barline is skipped", moveTuplet(added, 0, +1, ten).map((t) => t.start), [6]);
+check("Moving it back is allowed", moveTuplet(added, 0, -1, ten).map((t) => t.start), [5]);
+check("In 3/4 it moves into the next bar", moveTuplet([{ start: 4, actual: 3, normal: 2, value: "8" }], 0, +1, { ...ten, timeSignature: "3/4" }).map((t) => t.start), [6]);
+const straddling = measureEvents(ten.notes, [{ start: 7, actual: 3, normal: 2, value: "8" }], timeSignature("4/4"));
+check("A triplet already over the barline stays whole in the bar it starts in", bars(straddling), [0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+check("It keeps one bracket", brackets(straddling), [[7, 8, 9]]);
+console.log();
 
-console.log("\n=== All Tests Complete ===");
+console.log(`\n=== All Tests Complete (${failures} failed) ===`);
+if (failures > 0) process.exitCode = 1;
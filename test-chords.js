@@ -0,0 +1,60 @@
+import { parseChordSymbol, tryParseChordSymbol, transposeChordSymbol, chordPitchClasses } from "./src/theory/chords.js";
+
+let failures = 0;
+
+function check(desc, actual, expected) {
+  const got = JSON.stringify(actual);
+  const want = JSON.stringify(expected);
+  if (got === want) {
+    console.log(`✅ PASS: ${desc}`);
+  } else {
+    failures++;
+    console.log(`❌ FAIL: ${desc}`);
+    console.log(`   Got: ${got}`);
+    console.log(`   Expected: ${want}`);
+  }
+}
+
+// The parts of a parsed symbol worth comparing
+function summary(text) {
+  const chord = tryParseChordSymbol(text);
+  if (!chord) return null;
+  return { root: chord.root, quality: chord.quality, extensions: chord.extensions.map((e) => `${["b", "", "#"][e.alteration + 1]}${e.degree}`), bass: chord.bass };
+}
+
+console.log("=== Testing Chord Symbols ===\n");
+
+// Test 1: the documented forms
+console.log("Test 1: Documented forms");
+check("Dm7b5 is half-diminished", summary("Dm7b5"), { root: "D", quality: "m7b5", extensions: [], bass: null });
+check("G7(#9b13) is a dominant with altered tensions", summary("G7(#9b13)"), { root: "G", quality: "7", extensions: ["#9", "b13"], bass: null });
+check("Ebmaj7#11 is a major seventh with a #11", summary("Ebmaj7#11"), { root: "Eb", quality: "maj7", extensions: ["#11"], bass: null });
+check("C/E is a C triad over E", summary("C/E"), { root: "C", quality: "", extensions: [], bass: "E" });
+check("Cø7 is half-diminished", summary("Cø7"), { root: "C", quality: "m7b5", extensions: [], bass: null });
+check("C-7 is a minor seventh", summary("C-7"), { root: "C", quality: "m7", extensions: [], bass: null });
+check("Cm7(b5) and Cmi7 are read", [summary("Cm7(b5)").quality, summary("Cmi7").quality], ["m7b5", "m7"]);
+check("G7alt carries the altered tensions", summary("G7alt").extensions, ["b9", "#9", "#11", "#5"]);
+check("Text that isn't a chord is rejected", ["H7", "Cxyz", ""].map(tryParseChordSymbol), [null, null, null]);
+check("parseChordSymbol throws on it", (() => { try { parseChordSymbol("Cxyz"); return "parsed"; } catch { return "threw"; } })(), "threw");
+console.log();
+
+// Test 2: - and + as flat and sharp after the quality
+console.log("Test 2: - and + alterations");
+check("Cm7-5 is half-diminished", summary("Cm7-5"), { root: "C", quality: "m7b5", extensions: [], bass: null });
+check("C7-9 is a dominant with a b9", summary("C7-9"), { root: "C", quality: "7", extensions: ["b9"], bass: null });
+check("C7+5 is a dominant with a #5", summary("C7+5"), { root: "C", quality: "7", extensions: ["#5"], bass: null });
+check("C7+5 has no natural fifth", chordPitchClasses(parseChordSymbol("C7+5")).sort((a, b) => a - b), [0, 4, 8, 10]);
+check("A leading - or + is still the quality", [summary("C-").quality, summary("C+").quality], ["m", "aug"]);
+console.log();
+
+// Test 3: transposition keeps the symbol as written
+console.log("Test 3: Transposition");
+const symbols = ["Dm7b5", "G7(#9b13)", "Ebmaj7#11", "C/E", "Cø7", "C-7", "Cm7-5", "C7+5"];
+check("C to Eb moves the root and bass", symbols.map((s) => transposeChordSymbol(s, "C", "Eb")),
+  ["Fm7b5", "Bb7(#9b13)", "Gbmaj7#11", "Eb/G", "Ebø7", "Eb-7", "Ebm7-5", "Eb7+5"]);
+check("C to F# and back gives the same text", symbols.map((s) => transposeChordSymbol(transposeChordSymbol(s, "C", "F#"), "F#", "C")), symbols);
+check("Tensions survive the trip", symbols.map((s) => summary(transposeChordSymbol(s, "C", "A")).extensions), symbols.map((s) => summary(s).extensions));
+console.log();
+
+console.log(`\n=== All Tests Complete (${failures} failed) ===`);
+if (failures > 0) process.exitCode = 1;
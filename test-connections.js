@@ -0,0 +1,94 @@
+import { buildJazzLine } from "./src/theory/lineBuilder.js";
+import { parseNote } from "./src/theory/noteParser.js";
+import { CONNECTION_RULES, classifyConnection, bucketForConnection, canConnect } from "./src/theory/connections.js";
+
+// Helper to build a line in C major, optionally with explicit chord changes
+function makeLine(noteStrings, changes) {
+  const line = buildJazzLine(noteStrings.map((n) => parseNote(n.toUpperCase())), -1, "C");
+  if (changes) line.changes = changes;
+  return line;
+}
+
+let failures = 0;
+
+function check(desc, actual, expected) {
+  const got = JSON.stringify(actual);
+  const want = JSON.stringify(expected);
+  if (got === want) {
+    console.log(`✅ PASS: ${desc}`);
+  } else {
+    failures++;
+    console.log(`❌ FAIL: ${desc}`);
+    console.log(`   Got: ${got}`);
+    console.log(`   Expected: ${want}`);
+  }
+}
+
+function summary(connection) {
+  if (!connection) return null;
+  return { type: connection.type, direction: connection.direction, distance: connection.distance, bucket: bucketForConnection(connection) };
+}
+
+console.log("=== Testing Connection Classification ===\n");
+
+// Test 1: step connections from a line ending on C
+console.log("Test 1: Step connections from C");
+const endsOnC = makeLine(["E5", "D5", "C5"]);
+check("C -> C is tied", summary(classifyConnection(endsOnC, makeLine(["C5", "D5"]))),
+  { type: "tied", direction: null, distance: 0, bucket: "tied" });
+check("C -> C# is a half step up", summary(classifyConnection(endsOnC, makeLine(["C#5", "D5"]))),
+  { type: "half-step", direction: "up", distance: 1, bucket: "halfUp" });
+check("C -> B is a half step down", summary(classifyConnection(endsOnC, makeLine(["B4", "D5"]))),
+  { type: "half-step", direction: "down", distance: -1, bucket: "halfDown" });
+check("C -> D is a whole step up", summary(classifyConnection(endsOnC, makeLine(["D5", "E5"]))),
+  { type: "whole-step", direction: "up", distance: 2, bucket: "wholeUp" });
+check("C -> Bb is a whole step down", summary(classifyConnection(endsOnC, makeLine(["Bb4", "D5"]))),
+  { type: "whole-step", direction: "down", distance: -2, bucket: "wholeDown" });
+console.log();
+
+// Test 2: chord-tone connections fall back to 1-3-5-7 of the key
+console.log("Test 2: Chord-tone connections from E (no chord changes)");
+const endsOnE = makeLine(["G5", "F5", "E5"]);
+check("E -> G is the next chord tone up", summary(classifyConnection(endsOnE, makeLine(["G5", "A5"]))),
+  { type: "chord-tone", direction: "up", distance: 3, bucket: "chordUp" });
+check("E -> C is the next chord tone down", summary(classifyConnection(endsOnE, makeLine(["C5", "D5"]))),
+  { type: "chord-tone", direction: "down", distance: -4, bucket: "chordDown" });
+check("E -> A does not connect", classifyConnection(endsOnE, makeLine(["A5", "G5"])), null);
+console.log();
+
+// Test 3: harmony-aware rules
+console.log("Test 3: Guide tones and enclosures");
+const overG7 = makeLine(["A5", "G5", "F5"], [{ beat: 0, symbol: "G7" }]);
+check("F over G7 -> E over Cmaj7 is a guide-tone resolution",
+  summary(classifyConnection(overG7, makeLine(["E5", "D5"], [{ beat: 0, symbol: "Cmaj7" }]))),
+  { type: "guide-tone", direction: "down", distance: -1, bucket: "guideTone" });
+const enclosing = makeLine(["E5", "D5", "B4"]);
+check("D, B -> C over Cmaj7 is an enclosure",
+  summary(classifyConnection(enclosing, makeLine(["C5", "E5"], [{ beat: 0, symbol: "Cmaj7" }]))),
+  { type: "enclosure", direction: "up", distance: 1, bucket: "enclosure" });
+console.log();
+
+// Test 4: rule subsets and canConnect agree with classifyConnection
+console.log("Test 4: Rule subsets");
+const noHalfSteps = CONNECTION_RULES.filter((r) => r.id !== "half-step");
+const toCSharp = makeLine(["C#5", "D5"]);
+check("Half step is rejected without the half-step rule", classifyConnection(endsOnC, toCSharp, noHalfSteps), null);
+check("canConnect matches classifyConnection with the default rules", canConnect(endsOnC, toCSharp), true);
+check("canConnect matches classifyConnection with a rule subset", canConnect(endsOnC, toCSharp, noHalfSteps), false);
+check("Missing lines do not connect", classifyConnection(null, toCSharp), null);
+console.log();
+
+// Test 5: register - rules judge pitch classes, distances use the real MIDI numbers
+console.log("Test 5: Register-aware distances");
+const endsOnE5 = makeLine(["G5", "F5", "E5"]);
+const fromF3 = classifyConnection(endsOnE5, makeLine(["F3", "G3"]));
+check("E5 -> F3 is classified as a half step up", summary(fromF3),
+  { type: "half-step", direction: "up", distance: -23, bucket: "halfUp" });
+check("E5 -> F3 needs the candidate two octaves up", [fromF3.fittedDistance, fromF3.octaveShift], [1, 2]);
+const fromF5 = classifyConnection(endsOnE5, makeLine(["F5", "G5"]));
+check("E5 -> F5 is already in register", [fromF5.distance, fromF5.octaveShift], [1, 0]);
+const chordLeap = classifyConnection(endsOnE5, makeLine(["G4", "A4"]));
+check("E5 -> G4 is a chord tone up that needs an octave", [chordLeap.type, chordLeap.direction, chordLeap.distance, chordLeap.octaveShift], ["chord-tone", "up", -9, 1]);
+
+console.log(`\n=== All Tests Complete (${failures} failed) ===`);
+if (failures > 0) process.exitCode = 1;
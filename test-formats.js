@@ -0,0 +1,137 @@
+import { DOMParser } from "linkedom";
+import { buildJazzLine } from "./src/theory/lineBuilder.js";
+import { parseNote } from "./src/theory/noteParser.js";
+import { linesToMusicXml } from "./src/theory/musicXmlExporter.js";
+import { readMusicXmlMeasures, measuresToLines } from "./src/theory/musicXmlImporter.js";
+import { sequenceToMidiFile, parseMidiFile, midiToMeasures } from "./src/theory/midiFile.js";
+import { isAbcText, readAbcMeasures, abcToLine, linesToAbc } from "./src/theory/abc.js";
+
+// The MusicXML importer reads scores with the browser's DOMParser
+globalThis.DOMParser = DOMParser;
+
+let failures = 0;
+
+function check(desc, actual, expected) {
+  const got = JSON.stringify(actual);
+  const want = JSON.stringify(expected);
+  if (got === want) {
+    console.log(`✅ PASS: ${desc}`);
+  } else {
+    failures++;
+    console.log(`❌ FAIL: ${desc}`);
+    console.log(`   Got: ${got}`);
+    console.log(`   Expected: ${want}`);
+  }
+}
+
+// A note with its rhythm: "C5/8", "A5/4~" (tied), "E5/8t1" (triplet group 1),
+// "Bb4/4." (dotted)
+function note(spec) {
+  const [name, rhythm] = spec.split("/");
+  const m = rhythm.match(/^(\d+)(\.*)(t\d+)?(~)?$/);
+  return {
+    ...parseNote(name.toUpperCase()),
+    rhythm: {
+      value: m[1],
+      dots: m[2].length,
+      tuplet: m[3] ? { actual: 3, normal: 2, group: m[3] } : null,
+      tie: !!m[4],
+      restBefore: [],
+      restAfter: []
+    }
+  };
+}
+
+// Notes back as the same kind of spec, for comparing
+function specs(line) {
+  return line.notes.map((n) => {
+    const r = n.rhythm;
+    return `${n.letter}${n.accidental}${n.octave}/${r.value}${".".repeat(r.dots)}${r.tuplet ? "t" : ""}${r.tie ? "~" : ""}`;
+  });
+}
+
+// Every measure of a file as one line
+function asOneLine(measures) {
+  return measuresToLines(measures, [{ from: 0, to: measures.length - 1 }])[0];
+}
+
+console.log("=== Testing File Formats ===\n");
+
+// A 3/4 line in F with a pickup, a triplet, a tie and chord changes
+const waltz = {
+  ...buildJazzLine(["C5/8", "D5/8", "E5/8t1", "F5/8t1", "G5/8t1", "A5/4~", "A5/4", "BB4/2"].map(note), -1, { tonic: "F", mode: "major" }, 1),
+  timeSignature: "3/4",
+  changes: [{ beat: 1, symbol: "Gm7" }, { beat: 4, symbol: "C7sus4" }]
+};
+
+// Test 1: MusicXML export read back by the importer
+console.log("Test 1: MusicXML round trip");
+const xmlLine = asOneLine(readMusicXmlMeasures(linesToMusicXml([waltz])));
+check("Notes, rhythms, triplet and tie survive", specs(xmlLine), ["C5/8", "D5/8", "E5/8t", "F5/8t", "G5/8t", "A5/4~", "A5/4", "Bb4/2"]);
+check("The last bar is filled out with a rest", xmlLine.notes[7].rhythm.restAfter.map((r) => r.value), ["4"]);
+check("Pickup, time signature and key survive", [xmlLine.pickup, xmlLine.timeSignature, xmlLine.key], [1, "3/4", { tonic: "F", mode: "major" }]);
+check("Chord changes survive", xmlLine.changes, waltz.changes);
+console.log();
+
+// Test 2: MIDI export (as playback times it) read back and quantized
+console.log("Test 2: MIDI round trip");
+const tiedOver = {
+  ...buildJazzLine(["C5/8", "D5/8", "E5/8t1", "F5/8t1", "G5/8t1", "A5/4", "BB5/4~", "BB5/4", "C6/2"].map(note), -1, { tonic: "F", mode: "major" }, 1),
+  timeSignature: "3/4",
+  changes: [{ beat: 0, symbol: "Fmaj7" }]
+};
+const midiFile = parseMidiFile(sequenceToMidiFile([tiedOver], { bpm: 140 }));
+check("Conductor and melody tracks", midiFile.tracks.map((t) => [t.name, t.notes.length]), [["Jazz Lines", 0], ["Melody", 8]]);
+check("Time and key signatures are written", [midiFile.tracks[0].timeSignature, midiFile.tracks[0].key], [{ beats: 3, beatValue: 4 }, { fifths: -1, minor: false }]);
+check("The pickup ends on a barline", midiFile.tracks[1].notes[2].tick, 3 * midiFile.ticksPerBeat);
+const midiMeasures = midiToMeasures(midiFile);
+check("Bars are 3/4 in F", midiMeasures.map((m) => [m.timeSignature, m.key.tonic, m.length]), [["3/4", "F", 3], ["3/4", "F", 3], ["3/4", "F", 3]]);
+const midiLine = asOneLine(midiMeasures);
+check("Triplets come back and the tie is cut at the barline", specs(midiLine), ["C5/8", "D5/8", "E5/8t", "F5/8t", "G5/8t", "A5/4", "Bb5/4~", "Bb5/4", "C6/2"]);
+check("The silence before the pickup is a rest", midiLine.notes[0].rhythm.restBefore.map((r) => r.value), ["2"]);
+const backed = parseMidiFile(sequenceToMidiFile([tiedOver], { backing: true }));
+check("Backing adds comping and bass tracks", backed.tracks.map((t) => t.name), ["Jazz Lines", "Melody", "Comping", "Bass"]);
+const barChanges = { ...tiedOver, changes: [{ beat: 1, symbol: "Fmaj7" }, { beat: 4, symbol: "Gm7" }] };
+const comped = parseMidiFile(sequenceToMidiFile([barChanges], { backing: true }));
+const compingBeats = comped.tracks[2].notes.filter((n, i, all) => i === 0 || n.tick !== all[i - 1].tick).map((n) => n.tick / comped.ticksPerBeat);
+check("3/4 bars are comped on 1 and the and of 2", compingBeats, [3, 4.5, 6, 7.5]);
+console.log();
+
+// Test 3: telling ABC from a typed note list
+console.log("Test 3: ABC or note list");
+check("A comma list is a note list", isAbcText("A5, G5, E5, D5"), false);
+check("A trailing comma keeps it a note list", isAbcText("A5, G5, E5, D5,"), false);
+check("Commas without octave numbers are ABC's octave-down mark", ["G,A,B,C", "G, A, B, C,", "A5, G5, X5"].map(isAbcText), [true, true, true]);
+check("Low ABC notes are read an octave down", specs(abcToLine("G,A,B,C")), ["G3/8", "A3/8", "B3/8", "C4/8"]);
+check("Note names without commas are a note list", isAbcText("A5 G5 E5"), false);
+check("Plain ABC notes are ABC", isAbcText("d2 cA BAGF"), true);
+check("Barlines, quotes, tuplets and fields mark ABC", ["A B | c2", '"Dm7"d2 c', "(3BAG F2", "K:F\nABc"].map(isAbcText), [true, true, true, true]);
+console.log();
+
+// Test 4: reading ABC
+console.log("Test 4: ABC import");
+const abcLine = abcToLine('"Dm7"d2 (3cBA G>F E<D | "G7"B2- B z z2 |');
+check("Lengths, triplets, broken rhythm and ties", specs(abcLine), ["D5/4", "C5/8t", "B4/8t", "A4/8t", "G4/8.", "F4/16", "E4/16", "D4/8.", "B4/4~", "B4/8"]);
+check("Rests after the last note", abcLine.notes[9].rhythm.restAfter.map((r) => r.value), ["8", "4"]);
+check("Quoted chords become changes at their beats", abcLine.changes, [{ beat: 0, symbol: "Dm7" }, { beat: 4, symbol: "G7" }]);
+check("Without K: the line takes the given key", abcToLine("CDEF", { tonic: "D", mode: "dorian" }).key, { tonic: "D", mode: "dorian" });
+const fielded = readAbcMeasures("M:3/4\nK:Bb\nB2 c2 d2 | [K:D]F2 c2 =c2 |");
+check("K: and M: fields set key signature accidentals and meter", fielded.map((m) => [m.timeSignature, m.key.tonic, m.notes.map((n) => `${n.letter}${n.accidental}`)]),
+  [["3/4", "Bb", ["Bb", "C", "D"]], ["3/4", "D", ["F#", "C#", "C"]]]);
+check("(5 is five in the time of two in 4/4", readAbcMeasures("(5ABcde fgab c2|").map((m) => [m.length, m.notes[0].rhythm.tuplet.normal]), [[4, 2]]);
+check("(5 is five in the time of three in 6/8", readAbcMeasures("M:6/8\n(5ABcde f3|").map((m) => [m.length, m.notes[0].rhythm.tuplet.normal]), [[3, 3]]);
+check("Without L: short meters count in sixteenths", readAbcMeasures("M:2/4\nCDEF GABc").map((m) => m.length), [2]);
+console.log();
+
+// Test 5: ABC export read back
+console.log("Test 5: ABC round trip");
+const abcText = linesToAbc([waltz]);
+check("Header fields", abcText.split("\n").slice(0, 5), ["X:1", "T:Jazz Lines", "M:3/4", "L:1/8", "K:F"]);
+const abcBack = asOneLine(readAbcMeasures(abcText));
+check("Notes and rhythms survive", specs(abcBack), specs(waltz));
+check("Pickup, time signature, key and changes survive", [abcBack.pickup, abcBack.timeSignature, abcBack.key, abcBack.changes],
+  [1, "3/4", { tonic: "F", mode: "major" }, waltz.changes]);
+console.log();
+
+console.log(`\n=== All Tests Complete (${failures} failed) ===`);
+if (failures > 0) process.exitCode = 1;
@@ -0,0 +1,78 @@
+import { createRandom, parseProgression, lineMatchesStep, randomSequence, enumerateSequences } from "./src/theory/sequenceGenerator.js";
+
+let failures = 0;
+
+function check(desc, actual, expected) {
+  const got = JSON.stringify(actual);
+  const want = JSON.stringify(expected);
+  if (got === want) {
+    console.log(`✅ PASS: ${desc}`);
+  } else {
+    failures++;
+    console.log(`❌ FAIL: ${desc}`);
+    console.log(`   Got: ${got}`);
+    console.log(`   Expected: ${want}`);
+  }
+}
+
+// A hand-built graph: `edges` maps each line index to the lines that may
+// follow it. Lines only carry chord changes, which is all the progression
+// matching reads.
+function makeGraph(edges, changes = []) {
+  return {
+    lines: edges.map((_, i) => ({ changes: (changes[i] || []).map((symbol, k) => ({ beat: k * 2, symbol })) })),
+    edges: edges.map((targets) => targets.map((to) => ({ to })))
+  };
+}
+
+// Every line may follow every other line
+function complete(n) {
+  return makeGraph([...Array(n).keys()].map((i) => [...Array(n).keys()].filter((j) => j !== i)));
+}
+
+console.log("=== Testing the Sequence Generator ===\n");
+
+// Test 1: the seeded random number generator
+console.log("Test 1: Seeded randomness");
+const draws = (seed) => { const random = createRandom(seed); return [random(), random(), random()]; };
+check("The same seed gives the same numbers", draws(42), draws(42));
+check("Another seed gives other numbers", JSON.stringify(draws(42)) === JSON.stringify(draws(43)), false);
+check("Numbers fall in [0, 1)", draws(7).every((x) => x >= 0 && x < 1), true);
+console.log();
+
+// Test 2: random sequences
+console.log("Test 2: Random mode");
+const six = complete(6);
+check("The same seed gives the same sequence", randomSequence(six, { seed: 5 }), randomSequence(six, { seed: 5 }));
+const seeds = [1, 2, 3, 4, 5, 6, 7, 8].map((seed) => JSON.stringify(randomSequence(six, { seed }).sequence));
+check("Different seeds give different sequences", new Set(seeds).size > 1, true);
+const { sequence } = randomSequence(six, { seed: 9 });
+check("The sequence has the target length with no repeats", [sequence.length, new Set(sequence).size], [4, 4]);
+const pair = makeGraph([[0, 1], [0, 1]]);
+check("Without duplicates two lines can't make four", randomSequence(pair, { length: 4 }), { sequence: null, exhausted: false });
+check("With duplicates they can", randomSequence(pair, { length: 4, allowDuplicates: true }).sequence.length, 4);
+check("Running out of steps is reported apart from no fit", randomSequence(complete(8), { length: 8, budget: 3 }), { sequence: null, exhausted: true });
+console.log();
+
+// Test 3: enumeration
+console.log("Test 3: Enumerate mode");
+const chain = makeGraph([[1], [2], []]);
+check("Paths up to the length are listed, shorter ones too", enumerateSequences(chain, { length: 3 }), { sequences: [[0, 1], [0, 1, 2], [1, 2]], exhausted: false });
+check("Nothing longer than the length is listed", enumerateSequences(chain, { length: 2 }).sequences, [[0, 1], [1, 2]]);
+check("The limit caps the results", enumerateSequences(complete(4), { length: 4, limit: 5 }).sequences.length, 5);
+check("Without duplicates no path repeats a line", enumerateSequences(pair, { length: 3 }).sequences, [[0, 1], [1, 0]]);
+check("Running out of steps is reported", enumerateSequences(complete(6), { length: 6, budget: 10 }).exhausted, true);
+console.log();
+
+// Test 4: progression matching
+console.log("Test 4: Progressions");
+check("Steps are split on bars", parseProgression("Major ii-v | Dm7 G7 | *"), ["Major ii-v", "Dm7 G7", "*"]);
+const twoFive = { changes: [{ beat: 0, symbol: "Dm7" }, { beat: 2, symbol: "G7" }] };
+check("A line matches its category, its chords and *", ["Major ii-v", "major II-V", "Dm7 G7", "Dm7", "*"].map((step) => lineMatchesStep(twoFive, step)), [true, true, true, true, true]);
+check("Other chords and categories don't match", ["Minor ii-v", "G7", "Dm7 G7 Cmaj7", "Xyz"].map((step) => lineMatchesStep(twoFive, step)), [false, false, false, false]);
+const progressionGraph = makeGraph([[1, 2], [0, 2], [0, 1]], [["Dm7", "G7"], ["Cmaj7"], ["G7"]]);
+check("Each line fits its step", enumerateSequences(progressionGraph, { length: 2, progression: parseProgression("Dm7 G7 | Cmaj7") }).sequences, [[0, 1]]);
+console.log();
+
+console.log(`\n=== All Tests Complete (${failures} failed) ===`);
+if (failures > 0) process.exitCode = 1;
@@ -0,0 +1,67 @@
+import { stronglyConnectedComponents, analyzeConnectionGraph } from "./src/theory/connectionGraph.js";
+
+let failures = 0;
+
+function check(desc, actual, expected) {
+  const got = JSON.stringify(actual);
+  const want = JSON.stringify(expected);
+  if (got === want) {
+    console.log(`✅ PASS: ${desc}`);
+  } else {
+    failures++;
+    console.log(`❌ FAIL: ${desc}`);
+    console.log(`   Got: ${got}`);
+    console.log(`   Expected: ${want}`);
+  }
+}
+
+// A hand-built graph: `edges` maps each line index to the lines that may
+// follow it
+function makeGraph(edges) {
+  return {
+    lines: edges.map((_, i) => ({ id: i })),
+    edges: edges.map((targets) => targets.map((to) => ({ to })))
+  };
+}
+
+console.log("=== Testing Connection Graph Analysis ===\n");
+
+// 0 -> 1 -> 2 -> 0 is a cycle, which the chain 3 -> 4 leads into and 5
+// leads out of; 6 only follows itself; 7 <-> 8 is a second group on its own
+const graph = makeGraph([
+  [1],    // 0
+  [2],    // 1
+  [0, 5], // 2
+  [4],    // 3
+  [0],    // 4
+  [],     // 5
+  [6],    // 6
+  [8],    // 7
+  [7]     // 8
+]);
+
+// Test 1: strongly connected groups
+console.log("Test 1: Strongly connected groups");
+check("Groups come largest first, single lines included", stronglyConnectedComponents(graph), [[0, 1, 2], [7, 8], [5], [4], [3], [6]]);
+check("An empty graph has none", stronglyConnectedComponents(makeGraph([])), []);
+const long = makeGraph([...Array(20000).keys()].map((i) => [(i + 1) % 20000]));
+check("A long cycle doesn't overflow the stack", stronglyConnectedComponents(long).map((c) => c.length), [20000]);
+console.log();
+
+// Test 2: the report
+console.log("Test 2: Analysis");
+const report = analyzeConnectionGraph(graph);
+check("The cycle and the pair are the groups", report.components, [[0, 1, 2], [7, 8]]);
+check("The chain and the self-loop are isolated", report.isolated, [3, 4, 5, 6]);
+check("Dead ends ignore self-loops", report.deadEnds, [5, 6]);
+check("Orphans ignore self-loops", report.orphans, [3, 6]);
+check("Ranking counts in and out edges, self-loops excluded", report.ranking.slice(0, 3), [
+  { index: 0, outDegree: 1, inDegree: 2 },
+  { index: 2, outDegree: 2, inDegree: 1 },
+  { index: 1, outDegree: 1, inDegree: 1 }
+]);
+check("The self-loop ranks with no edges", report.ranking.find((r) => r.index === 6), { index: 6, outDegree: 0, inDegree: 0 });
+console.log();
+
+console.log(`\n=== All Tests Complete (${failures} failed) ===`);
+if (failures > 0) process.exitCode = 1;
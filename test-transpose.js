@@ -0,0 +1,62 @@
+import { buildJazzLine } from "./src/theory/lineBuilder.js";
+import { parseNote } from "./src/theory/noteParser.js";
+import { lineTonic, transposeLine, transposeSequence, sequenceInAllKeys } from "./src/theory/transpose.js";
+
+let failures = 0;
+
+function check(desc, actual, expected) {
+  const got = JSON.stringify(actual);
+  const want = JSON.stringify(expected);
+  if (got === want) {
+    console.log(`✅ PASS: ${desc}`);
+  } else {
+    failures++;
+    console.log(`❌ FAIL: ${desc}`);
+    console.log(`   Got: ${got}`);
+    console.log(`   Expected: ${want}`);
+  }
+}
+
+function makeLine(noteStrings, key) {
+  return buildJazzLine(noteStrings.map((n) => parseNote(n.toUpperCase())), -1, key);
+}
+
+// Notes of a line as pitch names with octaves
+function names(line) {
+  return line.notes.map((n) => `${n.letter}${n.accidental}${n.octave}`);
+}
+
+console.log("=== Testing Transposition ===\n");
+
+// Test 1: one line, spelled for the new key
+console.log("Test 1: Spelling");
+const cLine = makeLine(["C5", "D5", "E5", "F5"], "C");
+check("C up to Db uses flats", names(transposeLine(cLine, "Db")), ["Db5", "Eb5", "F5", "Gb5"]);
+check("C to F# uses sharps", names(transposeLine(cLine, "F#")), ["F#5", "G#5", "A#5", "B5"]);
+check("C to G goes down a fourth", names(transposeLine(cLine, "G")), ["G4", "A4", "B4", "C5"]);
+check("Chord changes move with the line", transposeLine({ ...cLine, changes: [{ beat: 0, symbol: "Dm7" }] }, "Bb").changes, [{ beat: 0, symbol: "Cm7" }]);
+console.log();
+
+// Test 2: a sequence whose lines are in different keys
+console.log("Test 2: Mixed-key sequence");
+const mixed = [cLine, makeLine(["F5", "E5", "D5", "C5"], "F")];
+const inD = transposeSequence(mixed, "D");
+check("Every line moves by the same interval", inD.map(lineTonic), ["D", "G"]);
+check("The tied join stays tied", [names(inD[0]).at(-1), names(inD[1])[0]], ["G5", "G5"]);
+check("The second line keeps its notes relative to the first", names(inD[1]), ["G5", "F#5", "E5", "D5"]);
+const fromGb = transposeSequence([makeLine(["C5"], "C"), makeLine(["Gb5", "Bb5"], "Gb")], "F");
+check("A Cb tonic is spelled B", fromGb.map(lineTonic), ["F", "B"]);
+check("Its notes are spelled in B", names(fromGb[1]), ["B5", "D#6"]);
+check("An empty sequence stays empty", transposeSequence([], "D"), []);
+console.log();
+
+// Test 3: all twelve keys
+console.log("Test 3: Cycle of fourths");
+const cycle = sequenceInAllKeys(mixed);
+check("The cycle starts in the first line's key", cycle.map((k) => k.tonic).slice(0, 4), ["C", "F", "Bb", "Eb"]);
+check("The tied join stays tied in every key", cycle.every(({ lines }) => lines[1].notes[0].midi === lines[0].notes.at(-1).midi), true);
+check("In Eb the lines are Eb and Ab", cycle[3].lines.map(lineTonic), ["Eb", "Ab"]);
+console.log();
+
+console.log(`\n=== All Tests Complete (${failures} failed) ===`);
+if (failures > 0) process.exitCode = 1;